@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Helper functions for resolving file owners from a CODEOWNERS file.
+ * @author Rob Misasi
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { minimatch } = require("minimatch");
+
+const { getModifiedTime } = require("./utils");
+
+/**
+ * Locations of the CODEOWNERS file relative to the root, in the order GitHub
+ * searches them.
+ */
+const CODEOWNERS_PATHS = [
+  ".github/CODEOWNERS",
+  "CODEOWNERS",
+  "docs/CODEOWNERS",
+];
+
+/**
+ * @typedef CodeOwnersRule
+ * @type {object}
+ * @property {string} pattern The path pattern, e.g. `/src/api/`.
+ * @property {string[]} owners The owners of matching files. Empty when matching files have no owner.
+ */
+
+/**
+ * The rules of each CODEOWNERS file read so far, with the modification time of
+ * the file when it was read.
+ *
+ * @type {Map<string, { modifiedTime: number; rules: CodeOwnersRule[] }>}
+ */
+const codeOwnersCache = new Map();
+
+/**
+ * Parses the rules of a CODEOWNERS file, skipping blank lines and comments.
+ *
+ * @param {string} content The content of the CODEOWNERS file.
+ * @returns {CodeOwnersRule[]} The rules, in order.
+ */
+function parseCodeOwners(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(?:^|\s)#.*$/, "").trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern, owners };
+    });
+}
+
+/**
+ * Checks if {@link pattern} matches {@link relativePath}. Like gitignore,
+ * patterns without a leading or inner `/` match at any depth, and patterns
+ * matching a directory match the files within it. As on GitHub, a trailing
+ * `*` only matches files directly within the directory.
+ *
+ * @param {string} pattern The CODEOWNERS pattern.
+ * @param {string} relativePath The path relative to the root, using `/` separators.
+ * @returns {boolean}
+ */
+function matchesCodeOwnersPattern(pattern, relativePath) {
+  const isAnchored = pattern.replace(/\/$/, "").includes("/");
+  let glob = pattern.replace(/^\//, "");
+  if (glob.endsWith("/")) {
+    glob += "**";
+  }
+
+  if (!isAnchored) {
+    glob = `**/${glob}`;
+  }
+
+  const globs = glob.endsWith("*") ? [glob] : [glob, `${glob}/**`];
+  return globs.some((candidate) =>
+    minimatch(relativePath, candidate, { dot: true }),
+  );
+}
+
+/**
+ * Gets the rules of the CODEOWNERS file in {@link root}. Results are cached
+ * until the file is modified.
+ *
+ * @param {string} root The absolute path of the root.
+ * @returns {CodeOwnersRule[]} The rules. Empty if there is no CODEOWNERS file.
+ */
+function getCodeOwnersRules(root) {
+  const codeOwnersPath = CODEOWNERS_PATHS.map((codeOwnersFile) =>
+    path.join(root, codeOwnersFile),
+  ).find((candidate) => fs.existsSync(candidate));
+  if (!codeOwnersPath) {
+    return [];
+  }
+
+  const modifiedTime = getModifiedTime(codeOwnersPath);
+  if (codeOwnersCache.get(codeOwnersPath)?.modifiedTime !== modifiedTime) {
+    codeOwnersCache.set(codeOwnersPath, {
+      modifiedTime,
+      rules: parseCodeOwners(fs.readFileSync(codeOwnersPath, "utf-8")),
+    });
+  }
+
+  return codeOwnersCache.get(codeOwnersPath).rules;
+}
+
+/**
+ * Gets the owners of {@link relativePath} from the CODEOWNERS file in
+ * {@link root}. As on GitHub, the last matching rule wins.
+ *
+ * @param {string} relativePath The path relative to the root, using `/` separators.
+ * @param {string} root The absolute path of the root.
+ * @returns {string | undefined} The owners separated by spaces, e.g. `@acme/api`, or `undefined` if the file has no owner.
+ */
+function getCodeOwner(relativePath, root) {
+  const rule = [...getCodeOwnersRules(root)]
+    .reverse()
+    .find(({ pattern }) => matchesCodeOwnersPattern(pattern, relativePath));
+  return rule?.owners.length ? rule.owners.join(" ") : undefined;
+}
+
+module.exports = {
+  getCodeOwner,
+  matchesCodeOwnersPattern,
+  parseCodeOwners,
+};
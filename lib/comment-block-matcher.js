@@ -4,26 +4,54 @@
  */
 "use strict";
 
-const { escapeRegex, normalizeComments, normalizeEol } = require("./utils");
+const {
+  escapeRegex,
+  getFreeTextSlotName,
+  getPatternLocations,
+  normalizeComments,
+  normalizeEol,
+} = require("./utils");
+const { validatePatternValue } = require("./pattern-types");
+const {
+  expandTemplateSections,
+  parseTemplateSections,
+} = require("./template-sections");
+
+/**
+ * Regex source matching the text of a free-text slot, across any number of
+ * lines.
+ */
+const FREE_TEXT_SLOT_PATTERN = "[\\s\\S]*?";
 
 /**
  * The comment block matcher.
  */
 class CommentBlockMatcher {
   /**
-   * @typedef {("pattern" | "content")} MismatchType
+   * @typedef {("pattern" | "content" | "missing" | "extra")} MismatchType
    *
    * @typedef MismatchInfo
    * @type {object}
    * @property {[number, number]} range The location of the mismatch.
    * @property {MismatchType} type The type of mismatch.
+   * @property {number} line The index of the mismatched line within the comment block.
+   * @property {string} expected The expected line, with pattern placeholders.
+   * @property {string | undefined} actual The actual line, if any.
    *
    * @typedef PatternInfo The pattern info.
    * @type {object}
    * @property {string} pattern The pattern to match.
+   * @property {string} [type] The name of the pattern type whose semantic checks the values must pass.
+   * @property {string[]} [enum] The allowed values.
+   * @property {Object.<string, string>} [deprecated] Values that are still matched but should be replaced, mapped to their replacements.
    *
    * @typedef PatternMap The map of names to pattern infos.
    * @type {Object.<string, PatternInfo>}
+   *
+   * @typedef NormalizeConfig Enables whitespace-insensitive matching.
+   * @type {object}
+   * @property {boolean} [ignoreCase] Whether letter case is ignored.
+   * @property {string[][]} [equivalents] Groups of interchangeable strings, e.g. `["(c)", "©"]`.
    */
 
   /**
@@ -31,61 +59,420 @@ class CommentBlockMatcher {
    *   blockPrefix?: string;
    *   blockSuffix?: string;
    *   linePrefix?:string;
-   *   style: "line" | "jsdoc" | "html";
+   *   lineSuffix?: string;
+   *   style: "line" | "jsdoc" | "block" | "legal" | "banner" | "html";
    *   expectedLines?: string[];
-   *   patterns?: PatternMap
+   *   patterns?: PatternMap;
+   *   pragmaPlacement?: "before" | "after";
+   *   matchMode?: "exact" | "prefix" | "contains";
+   *   normalize?: NormalizeConfig;
    * }} config Configuration to match against
    */
   constructor({
     blockPrefix,
     blockSuffix,
     linePrefix,
+    lineSuffix,
     style,
     expectedLines,
     patterns,
+    pragmaPlacement,
+    matchMode = "prefix",
+    normalize,
   } = {}) {
     this.blockPrefix = blockPrefix ? normalizeEol(blockPrefix) : "";
     this.blockSuffix = blockSuffix ? normalizeEol(blockSuffix) : "";
     this.linePrefix = linePrefix ? normalizeEol(linePrefix) : "";
+    this.lineSuffix = lineSuffix ? normalizeEol(lineSuffix) : "";
     this.style = style;
-    this.expectedLines = expectedLines ?? [];
+    /** @type {import('./template-sections').TemplateItem[]} */
+    this.templateItems = parseTemplateSections(expectedLines ?? []);
+    this.sections = this.templateItems.filter(
+      (item) => typeof item !== "string",
+    );
+    /** The number of times each section occurs in the last comments read. */
+    this.sectionCounts = this.sections.map((section) => section.min);
+    this.expectedLines = expandTemplateSections(
+      this.templateItems,
+      this.sectionCounts,
+    );
     this.patterns = patterns;
+    this.pragmaPlacement = pragmaPlacement;
+    this.matchMode = matchMode;
+    /** @type {NormalizeConfig | undefined} */
+    this.normalize = normalize;
+
+    this.buildRegexes();
 
+    /** @type {Object.<string, string[]> | undefined} */
+    this.patternValues = undefined;
+    /** @type {{ name: string; range: [number, number] }[]} */
+    this.patternRanges = [];
+  }
+
+  /**
+   * Builds the regexes matching the expected lines.
+   */
+  buildRegexes() {
     this.patternOrder = [];
-    this.prefixedBodyRegex = this.buildPrefixedBodyRegex();
-    this.suffixRegex = new RegExp(
-      `${this.processAndEscapeString(this.blockSuffix)}$`,
+    if (this.normalize) {
+      this.normalizedRegex = this.buildNormalizedRegex();
+    } else {
+      this.prefixedBodyRegex = this.buildPrefixedBodyRegex();
+      this.suffixRegex = new RegExp(
+        `${this.processAndEscapeString(this.blockSuffix)}$`,
+        "d",
+      );
+    }
+  }
+
+  /**
+   * Builds the regex source for a single line of content.
+   *
+   * @param {string} line The expected line.
+   * @param {(patternName: string) => string} [formatPattern] Gets the regex source substituted for a pattern.
+   * @returns {string}
+   */
+  buildLinePattern(line, formatPattern) {
+    const slotName = getFreeTextSlotName(line);
+    if (slotName) {
+      // The slot's first line may be empty, leaving only the trimmed prefix.
+      const slotPattern = formatPattern
+        ? `(?:${FREE_TEXT_SLOT_PATTERN})`
+        : `(?<${this.registerPattern(slotName)}>${FREE_TEXT_SLOT_PATTERN})`;
+      const linePattern = `${this.processAndEscapeString(
+        this.linePrefix.trimEnd(),
+        formatPattern,
+      )}${slotPattern}`;
+      return this.lineSuffix
+        ? `${linePattern}[ \\t]*${escapeRegex(this.lineSuffix.trim())}`
+        : linePattern;
+    }
+
+    const escapedLinePrefix = this.processAndEscapeString(
+      this.linePrefix,
+      formatPattern,
     );
+    const escapedLine = this.processAndEscapeString(line, formatPattern);
+    if (this.lineSuffix) {
+      // Tolerate the padding aligning the line suffix.
+      return `${escapedLinePrefix}[ \\t]*${escapedLine}[ \\t]*${escapeRegex(this.lineSuffix.trim())}`;
+    }
+
+    return `${escapedLinePrefix}${escapedLine}`.trimEnd();
   }
 
-  buildPrefixedBodyRegex() {
+  /**
+   * Builds the regex matching the block prefix and content.
+   *
+   * @param {string} [bodyPattern] The regex source of the content. Defaults to the expected lines.
+   * @returns {RegExp}
+   */
+  buildPrefixedBodyRegex(bodyPattern) {
     const blockPrefixPattern = this.processAndEscapeString(this.blockPrefix);
-    const bodyPattern = this.expectedLines
-      .map((line) => {
-        const escapedLinePrefix = this.processAndEscapeString(this.linePrefix);
-        const escapedLine = this.processAndEscapeString(line);
-        return `${escapedLinePrefix}${escapedLine}`.trimEnd();
+    bodyPattern ??= this.expectedLines
+      .map((line) => this.buildLinePattern(line))
+      .join("\n");
+
+    const pragmaLinesPattern = this.buildPragmaLinesPattern();
+    let leadingPattern =
+      this.pragmaPlacement === "before" ? `(?:${pragmaLinesPattern}\\n)*` : "";
+    let trailingPattern = "";
+    if (this.matchMode === "exact") {
+      // Only pragma expressions may follow the content.
+      const suffixPattern = this.processAndEscapeString(
+        this.blockSuffix,
+        (patternName) => `(?:${this.patterns[patternName].pattern})`,
+      );
+      trailingPattern = `(?=(?:\\n${pragmaLinesPattern})*${suffixPattern}$)`;
+    } else if (this.matchMode === "contains") {
+      leadingPattern = "(?:[^\\n]*\\n)*?";
+    }
+
+    const prefixedBodyPattern = `^${blockPrefixPattern}${leadingPattern}${bodyPattern}${trailingPattern}`;
+    return new RegExp(prefixedBodyPattern, "d");
+  }
+
+  /**
+   * Gets the regex source matching a single occurrence of {@link section}.
+   *
+   * @param {import('./template-sections').TemplateSection} section The section.
+   * @param {boolean} isLeading Whether the section precedes every line of content.
+   * @returns {string}
+   */
+  buildSectionPattern(section, isLeading) {
+    const sectionPattern = section.lines
+      .map((line) =>
+        this.buildLinePattern(
+          line,
+          (patternName) => `(?:${this.patterns[patternName].pattern})`,
+        ),
+      )
+      .join("\n");
+    return isLeading ? `${sectionPattern}\n` : `\n${sectionPattern}`;
+  }
+
+  /**
+   * Counts the occurrences of each section in {@link content}. The content is
+   * matched as a whole when possible. Otherwise, the lines matching the first
+   * non-blank line of each section are counted.
+   *
+   * @param {string} content The joined content of the comments.
+   * @returns {number[]} The number of times each section occurs.
+   */
+  getSectionCounts(content) {
+    const sectionPatterns = [];
+    if (!this.normalize) {
+      let isLeading = true;
+      const bodyPattern = this.templateItems
+        .map((item) => {
+          if (typeof item === "string") {
+            const linePattern = this.buildLinePattern(item);
+            const separator = isLeading ? "" : "\n";
+            isLeading = false;
+            return `${separator}${linePattern}`;
+          }
+
+          const sectionPattern = this.buildSectionPattern(item, isLeading);
+          sectionPatterns.push(sectionPattern);
+          const max = item.max === Infinity ? "" : item.max;
+          return `(?<section${sectionPatterns.length - 1}>(?:${sectionPattern}){${item.min},${max}})`;
+        })
+        .join("");
+      const sectionsMatch =
+        this.buildPrefixedBodyRegex(bodyPattern).exec(content);
+      this.patternOrder = [];
+      if (sectionsMatch) {
+        return sectionPatterns.map((sectionPattern, index) => {
+          const sectionText = sectionsMatch.groups[`section${index}`];
+          const sectionRegex = new RegExp(sectionPattern, "y");
+          let count = 0;
+          while (
+            sectionRegex.lastIndex < sectionText.length &&
+            sectionRegex.exec(sectionText)
+          ) {
+            count += 1;
+          }
+
+          return count;
+        });
+      }
+    }
+
+    const actualLines = content
+      .split("\n")
+      .map((line) => this.stripLinePrefix(line).trim());
+    return this.sections.map((section) => {
+      const firstLine = section.lines.find((line) => line.trim() !== "");
+      if (firstLine === undefined) {
+        return section.min;
+      }
+
+      const lineRegex = new RegExp(
+        `^${this.processAndEscapeString(
+          firstLine.trim(),
+          (patternName) => `(?:${this.patterns[patternName].pattern})`,
+        )}$`,
+      );
+      const count = actualLines.filter((line) => lineRegex.test(line)).length;
+      return Math.min(Math.max(count, section.min), section.max);
+    });
+  }
+
+  /**
+   * Repeats each section as many times as it occurs in {@link comments}, and
+   * rebuilds the regexes for the resulting lines.
+   *
+   * @param {import('@types/estree').Comment[]} comments The AST nodes to read.
+   */
+  expandSections(comments) {
+    if (this.sections.length === 0) {
+      return;
+    }
+
+    const content = normalizeComments(comments)
+      .map((comment) => comment.value)
+      .join("\n");
+    this.sectionCounts = this.getSectionCounts(content);
+    this.expectedLines = expandTemplateSections(
+      this.templateItems,
+      this.sectionCounts,
+    );
+    this.buildRegexes();
+  }
+
+  /**
+   * Builds the regex matching the whitespace-normalized content of a comment
+   * block, as produced by {@link getNormalizedContent}.
+   *
+   * @returns {RegExp}
+   */
+  buildNormalizedRegex() {
+    const { text } = normalizeWhitespace(
+      this.expectedLines.map((line) => ({ text: line, offset: 0 })),
+    );
+    const bodyPattern = this.processAndEscapeString(
+      text,
+      undefined,
+      (literal) =>
+        literal
+          .split(/(\(\w+\.\.\.\))/)
+          .map((segment, index) =>
+            // Odd segments are free-text slots.
+            index % 2 === 0
+              ? this.escapeNormalizedLiteral(segment)
+              : `(?<${this.registerPattern(segment.slice(1, -1))}>${FREE_TEXT_SLOT_PATTERN})`,
+          )
+          .join(""),
+    );
+    const pragmaPattern = "@[^\\n]*";
+    const leadingPattern =
+      this.pragmaPlacement === "before" ? `(?:${pragmaPattern}\\n)*` : "";
+    const normalizedPattern = {
+      exact: `^${leadingPattern}${bodyPattern}(?:[ \\n]${pragmaPattern})?$`,
+      prefix: `^${leadingPattern}${bodyPattern}`,
+      contains: bodyPattern,
+    }[this.matchMode];
+
+    return new RegExp(
+      normalizedPattern,
+      this.normalize.ignoreCase ? "di" : "d",
+    );
+  }
+
+  /**
+   * Escapes {@link literal} for the normalized regex, allowing any of the
+   * configured equivalents in place of one another.
+   *
+   * @param {string} literal The literal text.
+   * @returns {string}
+   */
+  escapeNormalizedLiteral(literal) {
+    const equivalents = this.normalize.equivalents ?? [];
+    const alternatives = equivalents
+      .flat()
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegex);
+    if (alternatives.length === 0) {
+      return escapeRegex(literal);
+    }
+
+    const flags = this.normalize.ignoreCase ? "i" : "";
+    const alternativesRegex = new RegExp(`(${alternatives.join("|")})`, flags);
+    return literal
+      .split(alternativesRegex)
+      .map((segment, index) => {
+        // Odd segments are the captured alternatives.
+        if (index % 2 === 0) {
+          return escapeRegex(segment);
+        }
+
+        const group = equivalents.find((equivalentGroup) =>
+          equivalentGroup.some((equivalent) =>
+            new RegExp(`^${escapeRegex(equivalent)}$`, flags).test(segment),
+          ),
+        );
+        return `(?:${group.map(escapeRegex).join("|")})`;
       })
+      .join("");
+  }
+
+  /**
+   * Gets the content of {@link comments} without the block prefix, block
+   * suffix and line prefixes, with whitespace collapsed to single spaces and
+   * paragraphs separated by single line breaks.
+   *
+   * @param {import('@types/estree').Comment[]} comments The AST nodes to read.
+   * @returns {{ text: string; offsets: number[] }} The normalized content, and the offset of each of its characters within the comments' joined content.
+   */
+  getNormalizedContent(comments) {
+    const content = normalizeComments(comments)
+      .map((comment) => comment.value)
       .join("\n");
+    let start = 0;
+    let end = content.length;
+    if (this.blockPrefix && content.startsWith(this.blockPrefix)) {
+      start = this.blockPrefix.length;
+    }
+
+    if (
+      this.blockSuffix &&
+      content.endsWith(this.blockSuffix) &&
+      end - this.blockSuffix.length >= start
+    ) {
+      end -= this.blockSuffix.length;
+    }
+
+    const lines = [];
+    let lineStart = start;
+    content
+      .slice(start, end)
+      .split("\n")
+      .forEach((line) => {
+        const strippedLine = this.stripLinePrefix(line);
+        lines.push({
+          text: strippedLine,
+          offset: lineStart + line.length - strippedLine.length,
+        });
+        lineStart += line.length + 1;
+      });
 
-    const prefixedBodyPattern = `^${blockPrefixPattern}${bodyPattern}`;
-    return new RegExp(prefixedBodyPattern);
+    return normalizeWhitespace(lines);
+  }
+
+  /**
+   * Builds the regex source for a single pragma expression, including any
+   * continuation lines, or a blank line.
+   *
+   * @returns {string}
+   */
+  buildPragmaLinesPattern() {
+    const escapedLinePrefix = escapeRegex(this.linePrefix.trimEnd());
+    const pragmaLine = `${escapedLinePrefix}[ \\t]*@[\\w-]+[^\\n]*`;
+    const continuationLine = `${escapedLinePrefix}[ \\t]*[^@\\s][^\\n]*`;
+    const blankLine = this.lineSuffix
+      ? `${escapedLinePrefix}[ \\t]*${escapeRegex(this.lineSuffix.trim())}`
+      : `${escapedLinePrefix}[ \\t]*`;
+    return `(?:${pragmaLine}(?:\\n${continuationLine})*|${blankLine})`;
+  }
+
+  /**
+   * Registers a pattern occurrence and gets the name of its capture group.
+   * Named groups keep occurrences addressable even when the configured
+   * pattern declares capture groups of its own.
+   *
+   * @param {string} patternName The name of the pattern.
+   * @returns {string} The capture group name.
+   */
+  registerPattern(patternName) {
+    const groupName = `pattern${this.patternOrder.length}`;
+    this.patternOrder.push(patternName);
+    return groupName;
   }
 
   /**
    * Registers patterns and escapes regex in {@link str}.
    *
    * @param {string} str
+   * @param {(patternName: string) => string} [formatPattern] Gets the regex
+   * source substituted for a pattern. Registers a capture group by default.
+   * @param {(literal: string) => string} [escapeLiteral] Escapes the literal
+   * text between patterns.
    */
-  processAndEscapeString(str) {
+  processAndEscapeString(
+    str,
+    formatPattern = (patternName) =>
+      `(?<${this.registerPattern(patternName)}>${this.patterns[patternName].pattern})`,
+    escapeLiteral = escapeRegex,
+  ) {
     if (!this.patterns) {
-      return escapeRegex(str);
+      return escapeLiteral(str);
     }
 
     const patternPattern = /\((\w+)\)/g;
     let patternPatternMatch = patternPattern.exec(str);
     if (!patternPatternMatch) {
-      return escapeRegex(str);
+      return escapeLiteral(str);
     }
 
     let startingIndex = 0;
@@ -95,13 +482,14 @@ class CommentBlockMatcher {
       const nextStartingIndex =
         patternPatternMatch.index + patternPatternMatch[0].length;
       if (!this.patterns[patternName]) {
-        segments.push(escapeRegex(str.slice(startingIndex, nextStartingIndex)));
+        segments.push(
+          escapeLiteral(str.slice(startingIndex, nextStartingIndex)),
+        );
       } else {
-        this.patternOrder.push(patternName);
         segments.push(
-          escapeRegex(str.slice(startingIndex, patternPatternMatch.index)),
+          escapeLiteral(str.slice(startingIndex, patternPatternMatch.index)),
         );
-        segments.push(`(${this.patterns[patternName].pattern})`);
+        segments.push(formatPattern(patternName));
       }
 
       startingIndex = nextStartingIndex;
@@ -109,7 +497,7 @@ class CommentBlockMatcher {
     }
 
     if (startingIndex !== str.length) {
-      segments.push(escapeRegex(str.slice(startingIndex, str.length)));
+      segments.push(escapeLiteral(str.slice(startingIndex, str.length)));
     }
 
     return segments.join("");
@@ -122,26 +510,815 @@ class CommentBlockMatcher {
    * @returns {Object.<string, string[]> | null}} The results of the match operation. A dictionary of pattern values, if any, or null if no match was found.
    */
   match(comments) {
-    this.patternOrder = [];
+    this.patternValues = undefined;
+    this.patternRanges = [];
+    this.expandSections(comments);
+    if (this.normalize) {
+      return this.matchNormalized(comments);
+    }
+
     const normalizedComments = normalizeComments(comments);
     const actualCommentContent = normalizedComments
       .map((comment) => comment.value)
       .join("\n");
 
-    const prefixedBodyMatch = this.prefixedBodyRegex.test(actualCommentContent);
-    const suffixMatch = this.suffixRegex.test(actualCommentContent);
+    const prefixedBodyMatch = this.prefixedBodyRegex.exec(actualCommentContent);
+    const suffixMatch = this.suffixRegex.exec(actualCommentContent);
     if (!prefixedBodyMatch || !suffixMatch) {
       return null;
     }
 
     const patternValues = {};
     this.patternOrder.forEach((name, index) => {
-      patternValues[name] = patternValues[name]
-        ? [...patternValues[name], prefixedBodyMatch[index + 1]]
-        : [prefixedBodyMatch[index + 1]];
+      const groupName = `pattern${index}`;
+      const regexMatch =
+        groupName in (prefixedBodyMatch.groups ?? {})
+          ? prefixedBodyMatch
+          : suffixMatch;
+      let value = regexMatch.groups?.[groupName];
+      // Free-text slot names end in "...".
+      if (name.endsWith("...") && value !== undefined) {
+        value = this.getFreeTextSlotText(value);
+      }
+
+      patternValues[name] = [...(patternValues[name] ?? []), value];
+      if (value !== undefined) {
+        this.patternRanges.push({
+          name,
+          range: regexMatch.indices.groups[groupName],
+        });
+      }
     });
+
+    this.patternValues = patternValues;
     return patternValues;
   }
+
+  /**
+   * Describes the problem with a value of a pattern, if any: the value is
+   * deprecated, not one of the allowed values, or fails the semantic checks of
+   * the pattern's type.
+   *
+   * @param {string} name The name of the pattern.
+   * @param {string} value The value.
+   * @returns {{ problem: string; replacement?: string } | undefined} The problem, and the value replacing a deprecated value.
+   */
+  getPatternValueProblem(name, value) {
+    const patternInfo = this.patterns?.[name];
+    if (!patternInfo) {
+      return undefined;
+    }
+
+    if (
+      patternInfo.deprecated &&
+      Object.prototype.hasOwnProperty.call(patternInfo.deprecated, value)
+    ) {
+      const replacement = patternInfo.deprecated[value];
+      return {
+        problem: `is deprecated in favor of "${replacement}"`,
+        replacement,
+      };
+    }
+
+    if (patternInfo.enum && !patternInfo.enum.includes(value)) {
+      return { problem: "is not one of the allowed values" };
+    }
+
+    const problem =
+      patternInfo.type && validatePatternValue(patternInfo.type, value);
+    return problem ? { problem } : undefined;
+  }
+
+  /**
+   * Checks the values captured by the last match of {@link comments} against
+   * their allowed and deprecated values, and the semantic checks of their
+   * pattern types.
+   *
+   * @param {import('@types/estree').Comment[]} comments The matched AST nodes.
+   * @returns {{ name: string; value: string; range: [number, number]; problem: string; replacement?: string }[]} The invalid values and their problems.
+   */
+  getInvalidPatternValues(comments) {
+    const content = normalizeComments(comments)
+      .map((comment) => comment.value)
+      .join("\n");
+    return this.patternRanges.flatMap(({ name, range }) => {
+      const value = content.slice(range[0], range[1]);
+      const valueProblem = this.getPatternValueProblem(name, value);
+      return valueProblem ? [{ name, value, range, ...valueProblem }] : [];
+    });
+  }
+
+  /**
+   * Replaces deprecated values in {@link patternValues}, and drops values
+   * that are not allowed, so that fixes do not carry them over.
+   *
+   * @param {Object.<string, (string | undefined)[]>} patternValues The pattern values.
+   * @returns {Object.<string, (string | undefined)[]>} A copy with the preferred values.
+   */
+  getPreferredPatternValues(patternValues) {
+    return Object.fromEntries(
+      Object.entries(patternValues).map(([name, values]) => [
+        name,
+        values.map((value) => {
+          const patternInfo = this.patterns?.[name];
+          if (value === undefined || !patternInfo) {
+            return value;
+          }
+
+          if (
+            patternInfo.deprecated &&
+            Object.prototype.hasOwnProperty.call(patternInfo.deprecated, value)
+          ) {
+            return patternInfo.deprecated[value];
+          }
+
+          return patternInfo.enum && !patternInfo.enum.includes(value)
+            ? undefined
+            : value;
+        }),
+      ]),
+    );
+  }
+
+  /**
+   * Verifies the whitespace-normalized content of {@link comments} matches the
+   * configuration.
+   *
+   * @param {import('@types/estree').Comment[]} comments The AST nodes to verify.
+   * @returns {Object.<string, string[]> | null} The pattern values, or null if no match was found.
+   */
+  matchNormalized(comments) {
+    const { text, offsets } = this.getNormalizedContent(comments);
+    const normalizedMatch = this.normalizedRegex.exec(text);
+    if (!normalizedMatch) {
+      return null;
+    }
+
+    const patternValues = {};
+    this.patternOrder.forEach((name, index) => {
+      const groupName = `pattern${index}`;
+      const value = normalizedMatch.groups[groupName];
+      patternValues[name] = [...(patternValues[name] ?? []), value];
+      if (value !== undefined && value !== "") {
+        const [start, end] = normalizedMatch.indices.groups[groupName];
+        this.patternRanges.push({
+          name,
+          range: [offsets[start], offsets[end - 1] + 1],
+        });
+      }
+    });
+
+    this.patternValues = patternValues;
+    return patternValues;
+  }
+
+  /**
+   * Finds the first line of {@link comments} that differs from the
+   * configuration. Lines are compared from the start of the block through the
+   * last line of content, then from the end of the block through the block
+   * suffix.
+   *
+   * @param {import('@types/estree').Comment[]} comments The AST nodes to compare.
+   * @returns {MismatchInfo | null} The first mismatch, or null if none could be located.
+   */
+  getMismatch(comments) {
+    this.expandSections(comments);
+    // Lines cannot be compared one to one once whitespace is normalized.
+    if (this.normalize) {
+      return null;
+    }
+
+    const actualLines = normalizeComments(comments)
+      .map((comment) => comment.value)
+      .join("\n")
+      .split("\n");
+    const lineStarts = [];
+    actualLines.reduce((start, line) => {
+      lineStarts.push(start);
+      return start + line.length + 1;
+    }, 0);
+    const getLineRange = (index) => [
+      lineStarts[index],
+      lineStarts[index] + actualLines[index].length,
+    ];
+
+    const templateLines = `${this.blockPrefix}${this.expectedLines
+      .map((line) =>
+        this.lineSuffix
+          ? `${this.linePrefix}${line}${this.lineSuffix}`
+          : `${this.linePrefix}${line}`.trimEnd(),
+      )
+      .join("\n")}${this.blockSuffix}`.split("\n");
+    const tailLength = this.blockSuffix.split("\n").length - 1;
+    const headLength = templateLines.length - tailLength;
+
+    // Banner lines are compared without their padding, but keep their line
+    // suffix so that lines missing it are reported.
+    const trimmedLineSuffix = this.lineSuffix.trim();
+    const comparedLines = actualLines.map((line) =>
+      trimmedLineSuffix &&
+      line.startsWith(this.linePrefix) &&
+      line.trimEnd().endsWith(trimmedLineSuffix)
+        ? `${this.removeLinePadding(line)}${this.lineSuffix}`
+        : line,
+    );
+
+    const lineMatches = (templateIndex, actualIndex) =>
+      new RegExp(
+        `^${this.processAndEscapeString(
+          templateLines[templateIndex],
+          (patternName) => `(?:${this.patterns[patternName].pattern})`,
+        )}\\s*$`,
+      ).test(comparedLines[actualIndex]);
+
+    const getLineMismatch = (templateIndex, actualIndex) => {
+      if (lineMatches(templateIndex, actualIndex)) {
+        return null;
+      }
+
+      const templateLine = templateLines[templateIndex];
+      const actualLine = comparedLines[actualIndex];
+      const mismatch = {
+        line: actualIndex,
+        range: getLineRange(actualIndex),
+        expected: this.getDisplayLine(templateLine),
+        actual: this.getDisplayLine(actualLine),
+      };
+
+      // A single inserted or removed line shifts every line after it.
+      if (
+        actualIndex + 1 < actualLines.length &&
+        lineMatches(templateIndex, actualIndex + 1)
+      ) {
+        return { ...mismatch, type: "extra" };
+      }
+
+      if (
+        templateIndex + 1 < headLength &&
+        lineMatches(templateIndex + 1, actualIndex)
+      ) {
+        return { ...mismatch, type: "missing", actual: undefined };
+      }
+
+      const looseLineRegex = new RegExp(
+        `^${this.processAndEscapeString(templateLine, () => ".*?")}\\s*$`,
+      );
+      return {
+        ...mismatch,
+        type: looseLineRegex.test(actualLine) ? "pattern" : "content",
+      };
+    };
+
+    const contentEnd = actualLines.length - tailLength;
+    for (let i = 0, actualIndex = 0; i < headLength; i += 1, actualIndex += 1) {
+      if (actualIndex >= contentEnd) {
+        return {
+          type: "missing",
+          line: actualLines.length - 1,
+          range: getLineRange(actualLines.length - 1),
+          expected: this.getDisplayLine(templateLines[i]),
+          actual: undefined,
+        };
+      }
+
+      if (getFreeTextSlotName(this.stripLinePrefix(templateLines[i]))) {
+        // A free-text slot spans the lines up to the next matching line.
+        if (i + 1 >= headLength) {
+          actualIndex = contentEnd - 1;
+        }
+
+        while (
+          i + 1 < headLength &&
+          actualIndex + 1 < contentEnd &&
+          !lineMatches(i + 1, actualIndex + 1)
+        ) {
+          actualIndex += 1;
+        }
+
+        continue;
+      }
+
+      const lineMismatch = getLineMismatch(i, actualIndex);
+      if (lineMismatch) {
+        return lineMismatch;
+      }
+    }
+
+    for (let i = 1; i <= tailLength; i += 1) {
+      const actualIndex = actualLines.length - i;
+      if (actualIndex < headLength) {
+        return {
+          type: "missing",
+          line: actualLines.length - 1,
+          range: getLineRange(actualLines.length - 1),
+          expected: this.getDisplayLine(
+            templateLines[templateLines.length - i],
+          ),
+          actual: undefined,
+        };
+      }
+
+      const lineMismatch = getLineMismatch(
+        templateLines.length - i,
+        actualIndex,
+      );
+      if (lineMismatch) {
+        return lineMismatch;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets the text of a free-text slot from its captured value, with the line
+   * prefix of each line removed.
+   *
+   * @param {string} value The captured value, starting after the trimmed line prefix.
+   * @returns {string}
+   */
+  getFreeTextSlotText(value) {
+    if (this.normalize) {
+      return value;
+    }
+
+    return value
+      .split("\n")
+      .map((line, index) =>
+        this.stripLinePrefix(
+          index === 0 ? `${this.linePrefix.trimEnd()}${line}` : line,
+        ).trimEnd(),
+      )
+      .join("\n");
+  }
+
+  /**
+   * Strips the line prefix and surrounding whitespace from {@link line} for
+   * display in report messages.
+   *
+   * @param {string} line The line.
+   * @returns {string}
+   */
+  getDisplayLine(line) {
+    return this.stripLinePrefix(line).trim();
+  }
+
+  /**
+   * Strips the line prefix, or the line prefix without its trailing
+   * whitespace, from {@link line}.
+   *
+   * @param {string} line The line.
+   * @returns {string}
+   */
+  stripLinePrefix(line) {
+    const trimmedLinePrefix = this.linePrefix.trimEnd();
+    if (this.linePrefix && line.startsWith(this.linePrefix)) {
+      return this.stripLineSuffix(line.slice(this.linePrefix.length));
+    }
+
+    if (trimmedLinePrefix && line.startsWith(trimmedLinePrefix)) {
+      return this.stripLineSuffix(line.slice(trimmedLinePrefix.length));
+    }
+
+    return line;
+  }
+
+  /**
+   * Strips the line suffix and the padding preceding it from {@link line}.
+   *
+   * @param {string} line The line, without its line prefix.
+   * @returns {string}
+   */
+  stripLineSuffix(line) {
+    const trimmedLineSuffix = this.lineSuffix.trim();
+    const trimmedLine = line.trimEnd();
+    if (trimmedLineSuffix && trimmedLine.endsWith(trimmedLineSuffix)) {
+      return trimmedLine.slice(0, -trimmedLineSuffix.length).trimEnd();
+    }
+
+    return line;
+  }
+
+  /**
+   * Removes the padding and line suffix of a banner line, so that it can be
+   * compared to the configured content.
+   *
+   * @param {string} line The line.
+   * @returns {string}
+   */
+  removeLinePadding(line) {
+    if (!this.lineSuffix || !line.startsWith(this.linePrefix)) {
+      return line;
+    }
+
+    return `${this.linePrefix}${this.stripLineSuffix(
+      line.slice(this.linePrefix.length),
+    ).trimStart()}`;
+  }
+
+  /**
+   * Gets the lines of content in {@link comments} that are not part of the
+   * configured content, with the block prefix, block suffix and line prefixes
+   * removed. Leading and trailing blank lines are dropped.
+   *
+   * @param {import('@types/estree').Comment[]} comments The AST nodes to read.
+   * @param {string[]} [excludedLines] Other lines to leave out, e.g. pragma expressions.
+   * @returns {string[]} The additional lines of content.
+   */
+  getAdditionalLines(comments, excludedLines = []) {
+    this.expandSections(comments);
+    let content = normalizeComments(comments)
+      .map((comment) => comment.value)
+      .join("\n");
+    if (this.blockPrefix && content.startsWith(this.blockPrefix)) {
+      content = content.slice(this.blockPrefix.length);
+    }
+
+    if (this.blockSuffix && content.endsWith(this.blockSuffix)) {
+      content = content.slice(0, content.length - this.blockSuffix.length);
+    }
+
+    const expectedLineRegexes = this.expectedLines.map(
+      (line) =>
+        new RegExp(
+          `^${this.processAndEscapeString(
+            line,
+            (patternName) => `(?:${this.patterns[patternName].pattern})`,
+          )}\\s*$`,
+        ),
+    );
+    const slotLines = Object.entries(this.extractPatternValues(comments))
+      .filter(([name]) => name.endsWith("..."))
+      .flatMap(([, values]) => values.flatMap((value) => value?.split("\n")));
+    const contentLines = content
+      .split("\n")
+      .map((line) => this.stripLinePrefix(line).trimEnd());
+    const standInLineIndexes = this.getStandInLineIndexes(
+      contentLines,
+      expectedLineRegexes,
+    );
+    const lines = contentLines.filter(
+      (line, index) =>
+        line === "" ||
+        (!standInLineIndexes.has(index) &&
+          !excludedLines.includes(line) &&
+          !slotLines.includes(line) &&
+          !expectedLineRegexes.some((regex) => regex.test(line))),
+    );
+
+    while (lines.length > 0 && lines[0] === "") {
+      lines.shift();
+    }
+
+    while (lines.length > 0 && lines[lines.length - 1] === "") {
+      lines.pop();
+    }
+
+    return lines;
+  }
+
+  /**
+   * Gets the indexes of the lines standing in for configured lines they do not
+   * match, e.g. an outdated copyright line. Lines are aligned with the
+   * configured lines from the first non-blank line, skipping single inserted
+   * or removed lines the way {@link getMismatch} does. A line in the position
+   * of a configured line stands in for it if both start with the same word,
+   * so that other content in its place, e.g. a description, is kept.
+   *
+   * @param {string[]} lines The lines of content, without line prefixes.
+   * @param {RegExp[]} expectedLineRegexes The regexes matching each configured line.
+   * @returns {Set<number>}
+   */
+  getStandInLineIndexes(lines, expectedLineRegexes) {
+    const indexes = new Set();
+    let actualIndex = lines.findIndex((line) => line !== "");
+    if (actualIndex === -1) {
+      return indexes;
+    }
+
+    for (
+      let i = 0;
+      i < expectedLineRegexes.length && actualIndex < lines.length;
+      i += 1, actualIndex += 1
+    ) {
+      if (getFreeTextSlotName(this.expectedLines[i])) {
+        while (
+          i + 1 < expectedLineRegexes.length &&
+          actualIndex + 1 < lines.length &&
+          !expectedLineRegexes[i + 1].test(lines[actualIndex + 1])
+        ) {
+          actualIndex += 1;
+        }
+      } else if (expectedLineRegexes[i].test(lines[actualIndex])) {
+        continue;
+      } else if (
+        actualIndex + 1 < lines.length &&
+        expectedLineRegexes[i].test(lines[actualIndex + 1])
+      ) {
+        // An inserted line is kept.
+        i -= 1;
+      } else if (
+        i + 1 < expectedLineRegexes.length &&
+        expectedLineRegexes[i + 1].test(lines[actualIndex])
+      ) {
+        // A removed line has nothing standing in for it.
+        actualIndex -= 1;
+      } else if (
+        this.startsWithSameWord(this.expectedLines[i], lines[actualIndex])
+      ) {
+        indexes.add(actualIndex);
+      }
+    }
+
+    return indexes;
+  }
+
+  /**
+   * Checks if {@link line} starts with the first word of {@link expectedLine}.
+   * Words made of patterns only are never matched.
+   *
+   * @param {string} expectedLine The configured line.
+   * @param {string} line The line of content.
+   * @returns {boolean}
+   */
+  startsWithSameWord(expectedLine, line) {
+    const [expectedWord] = expectedLine.trim().split(/\s+/);
+    if (!this.processAndEscapeString(expectedWord, () => "")) {
+      return false;
+    }
+
+    return new RegExp(
+      `^${this.processAndEscapeString(expectedWord, () => "\\S*?")}(?:\\s|$)`,
+    ).test(line.trim());
+  }
+
+  /**
+   * Extracts as many pattern values as possible from {@link comments}, line by
+   * line, for headers that do not match the configuration as a whole. Each
+   * expected line is first matched against every actual line. When no actual
+   * line matches, each pattern in the expected line is searched for along with
+   * the literal text adjacent to it.
+   *
+   * @param {import('@types/estree').Comment[]} comments The AST nodes to extract values from.
+   * @returns {Object.<string, (string | undefined)[]>} The extracted pattern values, in template order. Values that could not be extracted are undefined.
+   */
+  extractPatternValues(comments) {
+    this.expandSections(comments);
+    const patternValues = {};
+
+    const actualLines = normalizeComments(comments)
+      .map((comment) => comment.value)
+      .join("\n")
+      .split("\n")
+      .map((line) => this.removeLinePadding(line));
+    const escapedLinePrefix = escapeRegex(this.linePrefix);
+    const usedLines = new Set();
+
+    this.expectedLines.forEach((expectedLine, expectedIndex) => {
+      const slotName = getFreeTextSlotName(expectedLine);
+      if (slotName) {
+        patternValues[slotName] = [
+          ...(patternValues[slotName] ?? []),
+          this.findFreeTextSlotValue(actualLines, expectedIndex),
+        ];
+        return;
+      }
+
+      const patternLocations = getPatternLocations(
+        expectedLine,
+        this.patterns ?? {},
+      );
+      if (patternLocations.length === 0) {
+        return;
+      }
+
+      const literals = [];
+      let characterIndex = 0;
+      patternLocations.forEach((patternLocation) => {
+        literals.push(
+          expectedLine.slice(characterIndex, patternLocation.index),
+        );
+        characterIndex = patternLocation.index + patternLocation[0].length;
+      });
+      literals.push(expectedLine.slice(characterIndex));
+
+      const lineRegex = new RegExp(
+        `^${escapedLinePrefix}${patternLocations
+          .map(
+            (patternLocation, index) =>
+              `${escapeRegex(literals[index])}(?<pattern${index}>${
+                this.patterns[patternLocation[1]].pattern
+              })`,
+          )
+          .join("")}${escapeRegex(literals[literals.length - 1])}\\s*$`,
+      );
+      const lineIndex = actualLines.findIndex(
+        (actualLine, index) =>
+          !usedLines.has(index) && lineRegex.test(actualLine),
+      );
+
+      let values;
+      if (lineIndex !== -1) {
+        usedLines.add(lineIndex);
+        const lineMatch = lineRegex.exec(actualLines[lineIndex]);
+        values = patternLocations.map(
+          (_, index) => lineMatch.groups[`pattern${index}`],
+        );
+      } else {
+        const patternSources = patternLocations.map(
+          (patternLocation) => this.patterns[patternLocation[1]].pattern,
+        );
+        values = patternSources.map((_, index) =>
+          this.findPatternValue(
+            actualLines,
+            patternSources,
+            literals,
+            index,
+            escapedLinePrefix,
+          ),
+        );
+      }
+
+      patternLocations.forEach((patternLocation, index) => {
+        const patternName = patternLocation[1];
+        patternValues[patternName] = [
+          ...(patternValues[patternName] ?? []),
+          values[index],
+        ];
+      });
+    });
+
+    return patternValues;
+  }
+
+  /**
+   * Finds the text of a free-text slot in {@link actualLines}: the lines
+   * between the lines matching the expected lines around the slot, up to the
+   * first pragma expression.
+   *
+   * @param {string[]} actualLines The lines of the actual comment.
+   * @param {number} expectedIndex The index of the slot within the expected lines.
+   * @returns {string | undefined} The slot's text, if found.
+   */
+  findFreeTextSlotValue(actualLines, expectedIndex) {
+    const contentStart = this.blockPrefix.split("\n").length - 1;
+    const contentEnd =
+      actualLines.length - (this.blockSuffix.split("\n").length - 1);
+    const lines = actualLines.map((line) =>
+      this.stripLinePrefix(line).trimEnd(),
+    );
+    const findLine = (expectedLine, fromIndex) => {
+      const lineRegex = new RegExp(
+        `^${this.processAndEscapeString(
+          expectedLine.trim(),
+          (patternName) => `(?:${this.patterns[patternName].pattern})`,
+        )}$`,
+      );
+      return lines.findIndex(
+        (line, index) =>
+          index >= fromIndex &&
+          index < contentEnd &&
+          lineRegex.test(line.trim()),
+      );
+    };
+
+    let start = contentStart;
+    if (expectedIndex > 0) {
+      const previousIndex = findLine(
+        this.expectedLines[expectedIndex - 1],
+        contentStart,
+      );
+      if (previousIndex === -1) {
+        return undefined;
+      }
+
+      start = previousIndex + 1;
+    }
+
+    let end =
+      expectedIndex === this.expectedLines.length - 1
+        ? contentEnd
+        : findLine(this.expectedLines[expectedIndex + 1], start);
+    if (end === -1) {
+      return undefined;
+    }
+
+    const pragmaIndex = lines.findIndex(
+      (line, index) =>
+        index >= start && index < end && /^@[\w-]+(?:\s|$)/.test(line.trim()),
+    );
+    if (pragmaIndex !== -1) {
+      end = pragmaIndex;
+    }
+
+    return lines.slice(start, end).join("\n");
+  }
+
+  /**
+   * Searches {@link actualLines} for a single pattern value, anchored by the
+   * text surrounding it in the expected line. The adjacent literal text is
+   * tried first, then everything preceding or following the pattern, and
+   * finally the line prefix alone.
+   *
+   * @param {string[]} actualLines The lines of the actual comment.
+   * @param {string[]} patternSources The regular expressions of the patterns in the expected line.
+   * @param {string[]} literals The literal text around the patterns in the expected line.
+   * @param {number} index The index of the pattern to find.
+   * @param {string} escapedLinePrefix The escaped line prefix.
+   * @returns {string | undefined} The pattern value, if found.
+   */
+  findPatternValue(
+    actualLines,
+    patternSources,
+    literals,
+    index,
+    escapedLinePrefix,
+  ) {
+    const valuePattern = `(?<value>${patternSources[index]})`;
+    const getContext = (start, end) =>
+      literals
+        .slice(start, end)
+        .map(
+          (literal, literalIndex) =>
+            `${literalIndex === 0 ? "" : `(?:${patternSources[start + literalIndex - 1]})`}${escapeRegex(literal)}`,
+        )
+        .join("");
+
+    const leadingLiteral = literals[index];
+    const leadingText = literals.slice(0, index + 1).join("");
+    const trailingLiteral = literals[index + 1];
+    const trailingText = literals.slice(index + 1).join("");
+    const candidates = [
+      leadingLiteral.trim() && `${escapeRegex(leadingLiteral)}${valuePattern}`,
+      leadingText.trim() &&
+        `^${escapedLinePrefix}${getContext(0, index + 1)}${valuePattern}`,
+      trailingLiteral.trim() &&
+        `${valuePattern}${escapeRegex(trailingLiteral)}`,
+      trailingText.trim() &&
+        `${valuePattern}${getContext(index + 1, literals.length)}\\s*$`,
+      `^${escapedLinePrefix}${valuePattern}\\s*$`,
+    ].filter((candidate) => candidate);
+
+    for (const candidate of candidates) {
+      const regex = new RegExp(candidate);
+      for (const actualLine of actualLines) {
+        const valueMatch = regex.exec(actualLine);
+        if (valueMatch) {
+          return valueMatch.groups.value;
+        }
+      }
+    }
+
+    return undefined;
+  }
+}
+
+/**
+ * Collapses whitespace in {@link lines} to single spaces. Consecutive
+ * non-blank lines form a paragraph, and paragraphs are separated by single
+ * line breaks.
+ *
+ * @param {{ text: string; offset: number }[]} lines The lines, with the offset of their first character.
+ * @returns {{ text: string; offsets: number[] }} The normalized text, and the offset of each of its characters.
+ */
+function normalizeWhitespace(lines) {
+  let text = "";
+  const offsets = [];
+  let separator;
+  lines.forEach(({ text: line, offset }) => {
+    if (line.trim() === "") {
+      if (text) {
+        separator = "\n";
+      }
+
+      return;
+    }
+
+    for (let i = 0; i < line.length; i += 1) {
+      if (/\s/.test(line[i])) {
+        if (text && !separator) {
+          separator = " ";
+        }
+
+        continue;
+      }
+
+      if (separator) {
+        text += separator;
+        offsets.push(offset + i);
+        separator = undefined;
+      }
+
+      text += line[i];
+      offsets.push(offset + i);
+    }
+
+    if (!separator) {
+      separator = " ";
+    }
+  });
+
+  return { text, offsets };
 }
 
 module.exports = CommentBlockMatcher;
@@ -4,38 +4,120 @@
  */
 "use strict";
 
-const { getPatternLocations } = require("./utils");
+const {
+  getFreeTextSlotName,
+  getPatternIdentifier,
+  getPatternLocations,
+  normalizeEol,
+} = require("./utils");
+const {
+  expandTemplateSections,
+  parseTemplateSections,
+} = require("./template-sections");
+
+/**
+ * Matches the start of a pragma expression, e.g. `@jest-environment node` or
+ * `@jsxImportSource preact`, once comment decoration has been removed.
+ */
+const PRAGMA_REGEX = /^@[\w-]+(?:\s|$)/;
+
+/**
+ * Gets the tag of a pragma expression, e.g. `@license` from `@license MIT`.
+ *
+ * @param {string} line The line.
+ * @returns {string | undefined} The tag, if {@link line} is a pragma expression.
+ */
+function getPragmaTag(line) {
+  return PRAGMA_REGEX.test(line.trimStart())
+    ? /^@[\w-]+/.exec(line.trimStart())[0]
+    : undefined;
+}
 
 class CommentFormatter {
   constructor(
     lines,
-    { blockPrefix, blockSuffix, linePrefix, eol, defaultPatternValues } = {},
+    {
+      blockPrefix,
+      blockSuffix,
+      linePrefix,
+      eol,
+      defaultPatternValues,
+      pragmaPlacement = "after",
+      pragmaBlankLines = 1,
+      lineSuffix,
+      width = 80,
+      align = "left",
+    } = {},
   ) {
     this.blockPrefix = blockPrefix;
     this.blockSuffix = blockSuffix;
     this.linePrefix = linePrefix;
+    this.lineSuffix = lineSuffix;
+    /** The width of banner comments. */
+    this.width = width;
+    /** @type {"left" | "center" | "right"} */
+    this.align = align;
     this.eol = eol;
+    /** @type {"before" | "after"} */
+    this.pragmaPlacement = pragmaPlacement;
+    this.pragmaBlankLines = pragmaBlankLines;
     /** @type {Object.<string, string>} */
     this.defaultPatternValues = defaultPatternValues;
-    this.lines = lines;
+    /** @type {import('./template-sections').TemplateItem[]} */
+    this.templateItems = parseTemplateSections(lines);
+    this.lines = expandTemplateSections(this.templateItems);
   }
 
   /**
    * Formats the comment.
    *
-   * @param {"line" | "jsdoc" | "html"} style style to format into.
+   * @param {"line" | "jsdoc" | "block" | "legal" | "banner" | "html"} style style to format into.
    * @param {Object.<string, (string | null)[]>=} patternValues The values to insert into patters.
+   * @param {string[][]=} pragmas Pragma expressions to place before or after the content, as returned by {@link extractPragmas}.
+   * @param {number[]=} sectionCounts The number of times each template section occurs. Defaults to each section's minimum.
    * @returns {string} The formatted comment.
    */
-  format(style, patternValues) {
+  format(style, patternValues, pragmas, sectionCounts) {
+    const contentLines = sectionCounts
+      ? expandTemplateSections(this.templateItems, sectionCounts)
+      : this.lines;
+    let lines = contentLines;
+    if (pragmas && pragmas.length > 0) {
+      const separator = new Array(this.pragmaBlankLines).fill("");
+      lines =
+        this.pragmaPlacement === "before"
+          ? [...pragmas.flat(), ...separator, ...contentLines]
+          : [...contentLines, ...separator, ...pragmas.flat()];
+    }
+
+    // Banner lines are padded to the banner's width, and free-text slots are
+    // kept verbatim, so pattern values are filled in first.
+    const hasFreeTextSlots = lines.some((line) => getFreeTextSlotName(line));
+    const fillPatternsFirst =
+      (style === "banner" || hasFreeTextSlots) && this.defaultPatternValues;
+    if (fillPatternsFirst) {
+      const filledLines = this.formatPatternValues(
+        lines.join("\n"),
+        patternValues,
+      ).split("\n");
+      lines = lines.map((_, index) => filledLines[index] ?? "");
+    }
+
+    if (hasFreeTextSlots) {
+      lines = this.fillFreeTextSlots(lines, patternValues);
+    }
+
     const formatFn = {
-      line: () => this.getLineBlock(),
-      jsdoc: () => this.getJsdoc(),
-      html: () => this.getHtmlBlock(),
+      line: () => this.getLineBlock(lines),
+      jsdoc: () => this.getJsdoc(lines),
+      block: () => this.getBlock(lines),
+      legal: () => this.getLegalBlock(lines),
+      banner: () => this.getBanner(lines),
+      html: () => this.getHtmlBlock(lines),
     }[style];
 
     let formattedComment = formatFn();
-    if (this.defaultPatternValues) {
+    if (this.defaultPatternValues && !fillPatternsFirst) {
       formattedComment = this.formatPatternValues(
         formattedComment,
         patternValues,
@@ -45,39 +127,144 @@ class CommentFormatter {
     return formattedComment;
   }
 
-  getJsdoc() {
+  getJsdoc(lines = this.lines) {
     let blockPrefix = this.blockPrefix ?? `*${this.eol}`;
     let blockSuffix = this.blockSuffix ?? `${this.eol} `;
     let linePrefix = this.linePrefix ?? " * ";
-    let body = this.lines
+    let body = lines
       .map((line) => `${linePrefix}${line}`.trimEnd())
       .join(this.eol);
 
     return `/*${blockPrefix}${body}${blockSuffix}*/`;
   }
 
-  getLineBlock() {
+  getBlock(lines = this.lines) {
+    let blockPrefix = this.blockPrefix ?? this.eol;
+    let blockSuffix = this.blockSuffix ?? `${this.eol} `;
+    let linePrefix = this.linePrefix ?? " * ";
+    let body = lines
+      .map((line) => `${linePrefix}${line}`.trimEnd())
+      .join(this.eol);
+
+    return `/*${blockPrefix}${body}${blockSuffix}*/`;
+  }
+
+  getLegalBlock(lines = this.lines) {
+    let blockPrefix = this.blockPrefix ?? `!${this.eol}`;
+    let blockSuffix = this.blockSuffix ?? `${this.eol} `;
+    let linePrefix = this.linePrefix ?? " * ";
+    let body = lines
+      .map((line) => `${linePrefix}${line}`.trimEnd())
+      .join(this.eol);
+
+    return `/*${blockPrefix}${body}${blockSuffix}*/`;
+  }
+
+  getBanner(lines = this.lines) {
+    let blockPrefix =
+      this.blockPrefix ?? `${"*".repeat(this.width - 2)}${this.eol}`;
+    let blockSuffix =
+      this.blockSuffix ?? `${this.eol} ${"*".repeat(this.width - 3)}`;
+    let linePrefix = this.linePrefix ?? " * ";
+    let lineSuffix = this.lineSuffix ?? " *";
+    const contentWidth = this.width - linePrefix.length - lineSuffix.length;
+    const body = lines
+      .map((line) => {
+        const padding = Math.max(contentWidth - line.length, 0);
+        const leftPadding = {
+          left: 0,
+          center: Math.floor(padding / 2),
+          right: padding,
+        }[this.align];
+        return `${linePrefix}${" ".repeat(leftPadding)}${line}${" ".repeat(padding - leftPadding)}${lineSuffix}`;
+      })
+      .join(this.eol);
+
+    return `/*${blockPrefix}${body}${blockSuffix}*/`;
+  }
+
+  getLineBlock(lines = this.lines) {
     let blockPrefix =
       (this.blockPrefix && `//${this.blockPrefix}${this.eol}`) ?? "";
     let blockSuffix =
       (this.blockSuffix && `${this.eol}//${this.blockSuffix}`) ?? "";
     let linePrefix = this.linePrefix ?? " ";
-    const body = this.lines
+    const body = lines
       .map((line) => `//${linePrefix}${line}`.trimEnd())
       .join(this.eol);
     return `${blockPrefix}${body}${blockSuffix}`;
   }
 
-  getHtmlBlock() {
+  getHtmlBlock(lines = this.lines) {
     let blockPrefix = this.blockPrefix ?? this.eol;
     let blockSuffix = this.blockSuffix ?? this.eol;
     let linePrefix = this.linePrefix ?? "  ";
-    const body = this.lines
+    const body = lines
       .map((line) => `${linePrefix}${line}`.trimEnd())
       .join(this.eol);
     return `<!--${blockPrefix}${body}${blockSuffix}-->`;
   }
 
+  /**
+   * Extracts the pragma expressions in {@link comments}. A pragma's value
+   * continues onto the following lines until a blank line, a line of content
+   * or the next pragma, keeping the indentation following the line prefix. Pragmas that are
+   * already part of the formatted content, or whose tag is, are skipped.
+   *
+   * @param {import('@types/estree').Comment[]} comments The comments to extract pragmas from.
+   * @returns {string[][]} The lines of each pragma expression.
+   */
+  extractPragmas(comments) {
+    const commentLines = comments
+      .flatMap((comment) => normalizeEol(comment.value).split("\n"))
+      .map((line) =>
+        this.linePrefix && line.startsWith(this.linePrefix)
+          ? this.stripLineSuffix(line.slice(this.linePrefix.length))
+          : line.replace(/^[\s*]*/, "").trimEnd(),
+      );
+
+    // Lines of sections are template lines, however often they occur.
+    const templateLines = this.templateItems.flatMap((item) =>
+      typeof item === "string" ? [item] : item.lines,
+    );
+    const pragmas = [];
+    let pragma;
+    commentLines.forEach((line) => {
+      if (PRAGMA_REGEX.test(line.trimStart())) {
+        pragma = [line.trimStart()];
+        pragmas.push(pragma);
+      } else if (pragma && line !== "" && !templateLines.includes(line)) {
+        pragma.push(line);
+      } else {
+        pragma = undefined;
+      }
+    });
+
+    // Tags in the template, e.g. `@file`, are replaced along with their values.
+    const templateTags = templateLines.map(getPragmaTag).filter(Boolean);
+    return pragmas.filter(
+      (lines) =>
+        !templateLines.includes(lines[0]) &&
+        !templateTags.includes(getPragmaTag(lines[0])),
+    );
+  }
+
+  /**
+   * Strips the line suffix and the padding preceding it from {@link line}.
+   *
+   * @param {string} line The line, without its line prefix.
+   * @returns {string}
+   */
+  stripLineSuffix(line) {
+    const trimmedLine = line.trimEnd();
+    const trimmedLineSuffix = this.lineSuffix?.trim();
+    if (trimmedLineSuffix && trimmedLine.endsWith(trimmedLineSuffix)) {
+      return trimmedLine.slice(0, -trimmedLineSuffix.length).trimEnd();
+    }
+
+    return trimmedLine;
+  }
+
   /**
    * Replaces pattern placeholders in {@link string} with values.
    *
@@ -89,7 +276,12 @@ class CommentFormatter {
       string,
       this.defaultPatternValues,
     );
-    const patternValuesCopy = { ...patternValues };
+    const patternValuesCopy = Object.fromEntries(
+      Object.entries(patternValues ?? {}).map(([patternName, values]) => [
+        patternName,
+        [...values],
+      ]),
+    );
 
     const segments = [];
     let characterIndex = 0;
@@ -113,20 +305,44 @@ class CommentFormatter {
     return segments.join("").trimEnd();
   }
 
+  /**
+   * Replaces free-text slots in {@link lines} with their text. Slots without
+   * a value are left empty.
+   *
+   * @param {string[]} lines The lines to fill.
+   * @param {Object.<string, (string | null)[]> | undefined} patternValues The pattern and slot values.
+   * @returns {string[]} The filled lines.
+   */
+  fillFreeTextSlots(lines, patternValues) {
+    const slotValues = {};
+    return lines.flatMap((line) => {
+      const slotName = getFreeTextSlotName(line);
+      if (!slotName) {
+        return [line];
+      }
+
+      slotValues[slotName] ??= [...(patternValues?.[slotName] ?? [])];
+      return (slotValues[slotName].shift() ?? "").split("\n");
+    });
+  }
+
   /**
    * Gets the next pattern value.
    *
    * @param {string} patternName The name of the pattern.
    * @param {Object.<string, (string | null)[]> | undefined} patternValues The pattern values.
-   * @returns The next pattern value from the relevant list, or the default pattern value.
+   * @returns The next pattern value from the relevant list, the default pattern value, or the pattern's placeholder if it has no default value.
    */
   getNextPatternValue(patternName, patternValues) {
+    const defaultPatternValue =
+      this.defaultPatternValues[patternName] ??
+      getPatternIdentifier(patternName);
     const patternValuesList = patternValues[patternName];
     if (!patternValuesList || patternValuesList.length === 0) {
-      return this.defaultPatternValues[patternName];
+      return defaultPatternValue;
     }
 
-    return patternValuesList.shift() ?? this.defaultPatternValues[patternName];
+    return patternValuesList.shift() ?? defaultPatternValue;
   }
 }
 
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Helper functions for template variables derived from the linted file's path.
+ * @author Rob Misasi
+ */
+"use strict";
+
+const path = require("path");
+
+/**
+ * @typedef ModuleNameConfig
+ * @type {object}
+ * @property {string[]} [stripPrefixes] Leading directories removed from module names, e.g. `src`.
+ * @property {boolean} [stripIndex] Whether a trailing `index` is removed from module names.
+ */
+
+/**
+ * Derives a module name from a path, e.g. `api/client` from
+ * `src/api/client.ts`.
+ *
+ * @param {string} relativePath The path relative to the root, using `/` separators.
+ * @param {ModuleNameConfig} config How the module name is derived.
+ * @returns {string} The module name.
+ */
+function getModuleName(
+  relativePath,
+  { stripPrefixes = [], stripIndex = true },
+) {
+  let moduleName = relativePath.slice(
+    0,
+    relativePath.length - path.posix.extname(relativePath).length,
+  );
+  const prefix = stripPrefixes
+    .map((stripPrefix) => `${stripPrefix.replace(/\/+$/, "")}/`)
+    .find((stripPrefix) => moduleName.startsWith(stripPrefix));
+  if (prefix) {
+    moduleName = moduleName.slice(prefix.length);
+  }
+
+  if (stripIndex && moduleName.endsWith("/index")) {
+    moduleName = moduleName.slice(0, -"/index".length);
+  }
+
+  return moduleName;
+}
+
+/**
+ * Gets the variables derived from the path of {@link filename}.
+ *
+ * @param {string} filename The absolute path of the linted file.
+ * @param {string} root The absolute path paths are relative to.
+ * @param {ModuleNameConfig} [moduleNameConfig] How the module name is derived.
+ * @returns {Object.<string, string>} The variables, e.g. `file.path`.
+ */
+function getFileVariables(filename, root, moduleNameConfig = {}) {
+  const relativePath = path.relative(root, filename).split(path.sep).join("/");
+  return {
+    "file.path": relativePath,
+    "file.name": path.posix.basename(relativePath),
+    "file.ext": path.posix.extname(relativePath),
+    "file.dir": path.posix.dirname(relativePath),
+    "file.module": getModuleName(relativePath, moduleNameConfig),
+  };
+}
+
+module.exports = {
+  getFileVariables,
+  getModuleName,
+};
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Helper functions for template variables derived from the local git history.
+ * @author Rob Misasi
+ */
+"use strict";
+
+const path = require("path");
+
+const { getRepositoryState, runGit } = require("./git");
+
+/**
+ * @typedef GitCommit
+ * @type {object}
+ * @property {string} year The year the commit was authored.
+ * @property {string} author The name of the commit's author.
+ *
+ * @typedef GitHistory
+ * @type {object}
+ * @property {GitCommit} first The commit adding the file.
+ * @property {GitCommit} last The latest commit changing the file.
+ */
+
+/**
+ * The git history of each file looked up so far, with the repository state it
+ * was read in. `null` for files without history, e.g. untracked files.
+ *
+ * @type {Map<string, { state: string | undefined; history: GitHistory | null }>}
+ */
+const gitHistoryCache = new Map();
+
+/**
+ * The configured git user name of each directory looked up so far, with the
+ * repository state it was read in.
+ *
+ * @type {Map<string, { state: string | undefined; userName: string | undefined }>}
+ */
+const gitUserNameCache = new Map();
+
+/**
+ * Gets the git history of {@link filename}, following renames. Results are
+ * cached until the repository state changes, e.g. after a commit.
+ *
+ * @param {string} filename The absolute path of the file.
+ * @returns {GitHistory | null} The history, or `null` if the file has none.
+ */
+function getGitHistory(filename) {
+  const state = getRepositoryState(path.dirname(filename));
+  if (
+    !gitHistoryCache.has(filename) ||
+    gitHistoryCache.get(filename).state !== state
+  ) {
+    const output = runGit(
+      [
+        "log",
+        "--follow",
+        "--format=%ad%x09%an",
+        "--date=format:%Y",
+        "--",
+        path.basename(filename),
+      ],
+      path.dirname(filename),
+    );
+    const commits = output
+      ? output.split("\n").map((line) => {
+          const [year, author] = line.split("\t");
+          return { year, author };
+        })
+      : [];
+    gitHistoryCache.set(filename, {
+      state,
+      history:
+        commits.length > 0
+          ? { first: commits[commits.length - 1], last: commits[0] }
+          : null,
+    });
+  }
+
+  return gitHistoryCache.get(filename).history;
+}
+
+/**
+ * Gets the git user name configured for {@link directory}. Results are cached
+ * until the repository state changes.
+ *
+ * @param {string} directory The directory.
+ * @returns {string | undefined}
+ */
+function getGitUserName(directory) {
+  const state = getRepositoryState(directory);
+  if (
+    !gitUserNameCache.has(directory) ||
+    gitUserNameCache.get(directory).state !== state
+  ) {
+    gitUserNameCache.set(directory, {
+      state,
+      userName: runGit(["config", "user.name"], directory) || undefined,
+    });
+  }
+
+  return gitUserNameCache.get(directory).userName;
+}
+
+/**
+ * Gets the variables derived from the git history of {@link filename}. Each
+ * variable is a function so git is only run for variables a template uses.
+ * Files without history, e.g. untracked files, fall back to the current year
+ * and the configured git user.
+ *
+ * @param {string} filename The absolute path of the linted file.
+ * @returns {Object.<string, () => string | undefined>} The variables, e.g. `git.createdYear`.
+ */
+function getGitVariables(filename) {
+  const currentYear = `${new Date().getFullYear()}`;
+  return {
+    "git.createdYear": () => getGitHistory(filename)?.first.year ?? currentYear,
+    "git.modifiedYear": () => getGitHistory(filename)?.last.year ?? currentYear,
+    "git.author": () =>
+      getGitHistory(filename)?.first.author ??
+      getGitUserName(path.dirname(filename)),
+  };
+}
+
+module.exports = {
+  getGitVariables,
+};
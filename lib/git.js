@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Helper functions for querying the local git repository.
+ * @author Rob Misasi
+ */
+"use strict";
+
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+const { getModifiedTime } = require("./utils");
+
+/**
+ * @typedef ChangedFilesConfig
+ * @type {object}
+ * @property {string} [changedSince] The git ref files are compared against, e.g. `origin/main`.
+ * @property {boolean} [staged] Whether staged files count as changed.
+ */
+
+/**
+ * The repository root of each directory looked up so far. `null` for
+ * directories outside a repository.
+ *
+ * @type {Map<string, string | null>}
+ */
+const repositoryRootCache = new Map();
+
+/**
+ * The git directory of each repository root looked up so far. `null` for
+ * roots without one.
+ *
+ * @type {Map<string, string | null>}
+ */
+const gitDirectoryCache = new Map();
+
+/**
+ * The changed files of each repository and configuration looked up so far,
+ * with the repository state and time they were listed at. `files` is `null`
+ * when they could not be determined.
+ *
+ * @type {Map<string, { state: string; time: number; files: Set<string> | null }>}
+ */
+const changedFilesCache = new Map();
+
+/**
+ * Runs a git command.
+ *
+ * @param {string[]} args The arguments of the command.
+ * @param {string} cwd The directory to run the command in.
+ * @returns {string | undefined} The trimmed output, or `undefined` if the command fails.
+ */
+function runGit(args, cwd) {
+  try {
+    return execFileSync("git", args, {
+      cwd,
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Gets the root of the repository containing {@link directory}.
+ *
+ * @param {string} directory The directory.
+ * @returns {string | null} The absolute path of the root, or `null` if {@link directory} is not in a repository.
+ */
+function getRepositoryRoot(directory) {
+  if (!repositoryRootCache.has(directory)) {
+    const root = runGit(["rev-parse", "--show-toplevel"], directory);
+    repositoryRootCache.set(directory, root ? path.resolve(root) : null);
+  }
+
+  return repositoryRootCache.get(directory);
+}
+
+/**
+ * Gets a key identifying the state of the repository containing
+ * {@link directory}, from the modification times of its `HEAD`, `HEAD` reflog
+ * and index. The key changes when commits are made or checked out and when
+ * files are staged, so results cached under a previous key are outdated, e.g.
+ * in editors keeping ESLint loaded between runs.
+ *
+ * @param {string} directory The directory.
+ * @returns {string | undefined} The key, or `undefined` if {@link directory} is not in a repository.
+ */
+function getRepositoryState(directory) {
+  const root = getRepositoryRoot(directory);
+  if (!root) {
+    return undefined;
+  }
+
+  if (!gitDirectoryCache.has(root)) {
+    gitDirectoryCache.set(
+      root,
+      runGit(["rev-parse", "--absolute-git-dir"], root) ?? null,
+    );
+  }
+
+  const gitDirectory = gitDirectoryCache.get(root);
+  return gitDirectory
+    ? ["HEAD", "logs/HEAD", "index"]
+        .map((file) => getModifiedTime(path.join(gitDirectory, file)))
+        .join(":")
+    : undefined;
+}
+
+/**
+ * Lists the files in {@link root} that differ from the merge base of
+ * `changedSince` and `HEAD`, including untracked files, and the staged files.
+ *
+ * @param {string} root The root of the repository.
+ * @param {ChangedFilesConfig} config Which changes to list.
+ * @returns {Set<string> | null} The absolute paths of the files, or `null` if git fails, e.g. for unknown refs.
+ */
+function listChangedFiles(root, { changedSince, staged }) {
+  const outputs = [];
+  if (changedSince) {
+    const mergeBase = runGit(["merge-base", changedSince, "HEAD"], root);
+    outputs.push(
+      mergeBase && runGit(["diff", "--name-only", mergeBase], root),
+      runGit(["ls-files", "--others", "--exclude-standard"], root),
+    );
+  }
+
+  if (staged) {
+    outputs.push(runGit(["diff", "--name-only", "--cached"], root));
+  }
+
+  if (outputs.some((output) => output === undefined)) {
+    return null;
+  }
+
+  return new Set(
+    outputs
+      .flatMap((output) => output.split("\n"))
+      .filter(Boolean)
+      .map((file) => path.resolve(root, file)),
+  );
+}
+
+/**
+ * Checks if {@link filename} is changed against the configured ref or staged.
+ * Changed files are listed once per repository and cached until the
+ * repository state changes, or {@link filename} is modified after they were
+ * listed.
+ *
+ * @param {string} filename The absolute path of the file.
+ * @param {ChangedFilesConfig} config Which changes count.
+ * @returns {boolean | undefined} Whether the file is changed, or `undefined` if it cannot be determined.
+ */
+function isFileChanged(filename, config) {
+  const root = getRepositoryRoot(path.dirname(filename));
+  if (!root) {
+    return undefined;
+  }
+
+  const cacheKey = JSON.stringify([root, config.changedSince, !!config.staged]);
+  const state = getRepositoryState(root);
+  const cached = changedFilesCache.get(cacheKey);
+  if (
+    !cached ||
+    cached.state !== state ||
+    getModifiedTime(filename) >= cached.time
+  ) {
+    const time = Date.now();
+    changedFilesCache.set(cacheKey, {
+      state,
+      time,
+      files: listChangedFiles(root, config),
+    });
+  }
+
+  let realFilename = filename;
+  try {
+    realFilename = fs.realpathSync(filename);
+  } catch {
+    // Missing files keep their path.
+  }
+
+  return changedFilesCache.get(cacheKey).files?.has(realFilename);
+}
+
+module.exports = {
+  getRepositoryState,
+  isFileChanged,
+  runGit,
+};
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Helper functions for template variables read from the nearest package.json.
+ * @author Rob Misasi
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { getModifiedTime } = require("./utils");
+
+/**
+ * The package variables of each package.json file read so far, with the
+ * modification time of the file when it was read.
+ *
+ * @type {Map<string, { modifiedTime: number; variables: Object.<string, string | undefined> }>}
+ */
+const packageVariablesCache = new Map();
+
+/**
+ * Formats a package.json person field, e.g. `Jane Doe <jane@example.com>`.
+ *
+ * @param {string | { name?: string; email?: string; url?: string } | undefined} person The person field.
+ * @returns {string | undefined}
+ */
+function formatPerson(person) {
+  if (!person || typeof person === "string") {
+    return person || undefined;
+  }
+
+  return (
+    [
+      person.name,
+      person.email && `<${person.email}>`,
+      person.url && `(${person.url})`,
+    ]
+      .filter(Boolean)
+      .join(" ") || undefined
+  );
+}
+
+/**
+ * Gets the package variables of a parsed package.json file. Variables for
+ * missing fields are `undefined`.
+ *
+ * @param {object} packageJson The parsed package.json file.
+ * @returns {Object.<string, string | undefined>} The variables, e.g. `package.name`.
+ */
+function toPackageVariables(packageJson) {
+  const values = {
+    "package.name": packageJson.name,
+    "package.version": packageJson.version,
+    "package.license": packageJson.license,
+    "package.author": formatPerson(packageJson.author),
+  };
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [
+      key,
+      typeof value === "string" ? value : undefined,
+    ]),
+  );
+}
+
+/**
+ * Reads the package variables from a package.json file.
+ *
+ * @param {string} packageJsonPath The path of the package.json file.
+ * @returns {Object.<string, string | undefined>} The variables, e.g. `package.name`. All `undefined` if the file cannot be parsed.
+ */
+function readPackageVariables(packageJsonPath) {
+  try {
+    return toPackageVariables(
+      JSON.parse(fs.readFileSync(packageJsonPath, "utf-8")),
+    );
+  } catch {
+    return toPackageVariables({});
+  }
+}
+
+/**
+ * Reads the package variables from a package.json file, unless they were read
+ * since the file was last modified.
+ *
+ * @param {string} packageJsonPath The path of the package.json file.
+ * @returns {Object.<string, string | undefined>} The variables, e.g. `package.name`.
+ */
+function getCachedPackageVariables(packageJsonPath) {
+  const modifiedTime = getModifiedTime(packageJsonPath);
+  if (
+    packageVariablesCache.get(packageJsonPath)?.modifiedTime !== modifiedTime
+  ) {
+    packageVariablesCache.set(packageJsonPath, {
+      modifiedTime,
+      variables: readPackageVariables(packageJsonPath),
+    });
+  }
+
+  return packageVariablesCache.get(packageJsonPath).variables;
+}
+
+/**
+ * Gets the variables read from the package.json file nearest to
+ * {@link filename}, searching its directory and then each parent directory.
+ *
+ * @param {string} filename The path of the linted file.
+ * @returns {Object.<string, string | undefined>} The variables, e.g. `package.name`. All `undefined` if there is no package.json file.
+ */
+function getPackageVariables(filename) {
+  let directory = path.dirname(path.resolve(filename));
+  while (!fs.existsSync(path.join(directory, "package.json"))) {
+    const parentDirectory = path.dirname(directory);
+    if (parentDirectory === directory) {
+      return toPackageVariables({});
+    }
+
+    directory = parentDirectory;
+  }
+
+  return getCachedPackageVariables(path.join(directory, "package.json"));
+}
+
+module.exports = {
+  formatPerson,
+  getPackageVariables,
+};
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Built-in pattern types with semantic validation.
+ * @author Rob Misasi
+ */
+"use strict";
+
+const { parseYearRange } = require("./year-range");
+
+/**
+ * @typedef PatternType
+ * @type {object}
+ * @property {string} pattern Regex source matching values of the type.
+ * @property {(value: string) => string | undefined} validate Checks a matched value, returning a description of its problem, if any.
+ * @property {() => string} [getDefaultValue] Gets the value used when none is configured.
+ */
+
+/**
+ * Describes a problem with a year or year range, if any.
+ *
+ * @param {string} value The year or year range.
+ * @returns {string | undefined}
+ */
+function validateYearRange(value) {
+  const range = parseYearRange(value);
+  if (range.end < range.start) {
+    return "ends before it starts";
+  }
+
+  if (range.end > new Date().getFullYear()) {
+    return "is in the future";
+  }
+
+  return undefined;
+}
+
+/**
+ * Gets today's date in ISO 8601 format, e.g. `2024-05-31`.
+ *
+ * @returns {string}
+ */
+function getCurrentDate() {
+  const today = new Date();
+  return [today.getFullYear(), today.getMonth() + 1, today.getDate()]
+    .map((part) => `${part}`.padStart(2, "0"))
+    .join("-");
+}
+
+/** @type {Object.<string, PatternType>} */
+const PATTERN_TYPES = {
+  year: {
+    pattern: "\\d{4}",
+    validate: validateYearRange,
+    getDefaultValue: () => `${new Date().getFullYear()}`,
+  },
+  yearRange: {
+    pattern: "\\d{4}(?:-\\d{4})?",
+    validate: validateYearRange,
+    getDefaultValue: () => `${new Date().getFullYear()}`,
+  },
+  date: {
+    pattern: "\\d{4}-\\d{2}-\\d{2}",
+    validate(value) {
+      const [year, month, day] = value.split("-").map(Number);
+      const date = new Date(Date.UTC(year, month - 1, day));
+      if (
+        date.getUTCFullYear() !== year ||
+        date.getUTCMonth() !== month - 1 ||
+        date.getUTCDate() !== day
+      ) {
+        return "is not a valid date";
+      }
+
+      return value > getCurrentDate() ? "is in the future" : undefined;
+    },
+    getDefaultValue: getCurrentDate,
+  },
+  email: {
+    pattern: "[^\\s@<>()]+@[^\\s@<>()]+",
+    validate(value) {
+      const [localPart, domain] = value.split("@");
+      if (localPart.startsWith(".") || localPart.endsWith(".")) {
+        return "is not a valid email address";
+      }
+
+      const labels = domain.split(".");
+      if (
+        labels.length < 2 ||
+        labels.some((label) => !/^[a-z\d](?:[a-z\d-]*[a-z\d])?$/i.test(label))
+      ) {
+        return "does not have a valid domain";
+      }
+
+      return undefined;
+    },
+  },
+  semver: {
+    pattern: "\\d+\\.\\d+\\.\\d+(?:-[\\w.-]+)?(?:\\+[\\w.-]+)?",
+    validate(value) {
+      const [version, preRelease] = value.split("+")[0].split(/-(.*)/);
+      const identifiers = [
+        ...version.split("."),
+        ...(preRelease ? preRelease.split(".") : []),
+      ];
+      if (identifiers.some((identifier) => /^0\d+$/.test(identifier))) {
+        return "has numeric identifiers with leading zeros";
+      }
+
+      if (identifiers.some((identifier) => identifier === "")) {
+        return "has empty identifiers";
+      }
+
+      return /_/.test(value) ? "has identifiers with underscores" : undefined;
+    },
+  },
+  spdx: {
+    pattern:
+      "\\(*[\\w.+-]+\\)*(?: (?:AND|OR|WITH|and|or|with) \\(*[\\w.+-]+\\)*)*",
+    validate(value) {
+      if (/ (?:and|or|with) /.test(value)) {
+        return "must use uppercase operators";
+      }
+
+      let depth = 0;
+      for (const character of value) {
+        depth += { "(": 1, ")": -1 }[character] ?? 0;
+        if (depth < 0) {
+          break;
+        }
+      }
+
+      return depth === 0 ? undefined : "has unbalanced parentheses";
+    },
+  },
+};
+
+/**
+ * Describes the problem with a value of a pattern type, if any.
+ *
+ * @param {string} type The name of the pattern type.
+ * @param {string} value The matched value.
+ * @returns {string | undefined} The problem, e.g. `is in the future`.
+ */
+function validatePatternValue(type, value) {
+  return PATTERN_TYPES[type]?.validate(value);
+}
+
+module.exports = {
+  PATTERN_TYPES,
+  validatePatternValue,
+};
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Class for filtering, ordering, and placing pragma expressions.
+ * @author Rob Misasi
+ */
+"use strict";
+
+/**
+ * Decides which pragma expressions are kept in a header and how they are
+ * ordered.
+ */
+class PragmaPolicy {
+  /**
+   * @typedef {"before" | "after"} PragmaPlacement
+   *
+   * @typedef {"none" | "alphabetical"} PragmaSortOrder
+   *
+   * @typedef PragmaPolicyConfig
+   * @type {object}
+   * @property {string[]} [allow] Tags to keep. All tags are kept when omitted.
+   * @property {string[]} [deny] Tags to drop.
+   * @property {PragmaPlacement} [placement] Where pragmas go relative to the header content.
+   * @property {number} [blankLines] Number of blank lines between pragmas and the header content.
+   * @property {PragmaSortOrder} [sort] The order of the pragmas.
+   */
+
+  /**
+   * @param {PragmaPolicyConfig} config The policy configuration.
+   */
+  constructor({
+    allow,
+    deny,
+    placement = "after",
+    blankLines = 1,
+    sort = "none",
+  } = {}) {
+    this.allow = allow?.map(normalizeTag);
+    this.deny = (deny ?? []).map(normalizeTag);
+    this.placement = placement;
+    this.blankLines = blankLines;
+    this.sort = sort;
+  }
+
+  /**
+   * Gets the tag of a pragma expression, without the leading `@`.
+   *
+   * @param {string[]} pragma The lines of the pragma expression.
+   * @returns {string} The tag, e.g. `jest-environment`.
+   */
+  getTag(pragma) {
+    return normalizeTag(pragma[0].split(/\s/)[0]);
+  }
+
+  /**
+   * Checks if {@link pragma} may be kept in the header.
+   *
+   * @param {string[]} pragma The lines of the pragma expression.
+   * @returns {boolean}
+   */
+  isAllowed(pragma) {
+    const tag = this.getTag(pragma);
+    return (
+      (!this.allow || this.allow.includes(tag)) && !this.deny.includes(tag)
+    );
+  }
+
+  /**
+   * Checks if {@link pragmas} are in the configured order.
+   *
+   * @param {string[][]} pragmas The pragma expressions.
+   * @returns {boolean}
+   */
+  isSorted(pragmas) {
+    const sorted = this.sortPragmas(pragmas);
+    return pragmas.every((pragma, index) => pragma === sorted[index]);
+  }
+
+  /**
+   * Sorts {@link pragmas} in the configured order. Pragmas with the same tag
+   * keep their relative order.
+   *
+   * @param {string[][]} pragmas The pragma expressions.
+   * @returns {string[][]} A sorted copy of {@link pragmas}.
+   */
+  sortPragmas(pragmas) {
+    if (this.sort === "none") {
+      return [...pragmas];
+    }
+
+    return [...pragmas].sort((a, b) =>
+      this.getTag(a).localeCompare(this.getTag(b), "en"),
+    );
+  }
+
+  /**
+   * Applies the policy to {@link pragmas}.
+   *
+   * @param {string[][]} pragmas The pragma expressions found in a header.
+   * @returns {string[][]} The allowed pragmas, in the configured order.
+   */
+  apply(pragmas) {
+    return this.sortPragmas(pragmas.filter((pragma) => this.isAllowed(pragma)));
+  }
+}
+
+/**
+ * Strips the leading `@` from {@link tag}, if any.
+ *
+ * @param {string} tag The tag.
+ * @returns {string}
+ */
+function normalizeTag(tag) {
+  return tag.replace(/^@/, "");
+}
+
+module.exports = PragmaPolicy;
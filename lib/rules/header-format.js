@@ -5,19 +5,103 @@
 "use strict";
 
 const fs = require("fs");
+const path = require("path");
+const { minimatch } = require("minimatch");
 
 const CommentFormatter = require("../comment-formatter");
 const CommentBlockMatcher = require("../comment-block-matcher");
-const { appendNewlines, getEolCharacter, normalizeEol } = require("../utils");
+const PragmaPolicy = require("../pragma-policy");
+const { getCodeOwner } = require("../codeowners");
+const { getFileVariables } = require("../file-variables");
+const { isFileChanged } = require("../git");
+const { getGitVariables } = require("../git-variables");
+const { getPackageVariables } = require("../package-variables");
+const { PATTERN_TYPES } = require("../pattern-types");
+const { isSectionMarker } = require("../template-sections");
+const {
+  appendNewlines,
+  escapeRegex,
+  getCommentStyle,
+  getEolCharacter,
+  getFreeTextSlotName,
+  getPatternIdentifier,
+  isLegalComment,
+  normalizeEol,
+  wrapLines,
+} = require("../utils");
+const {
+  YEAR_RANGE_PATTERN,
+  bumpYearRange,
+  parseYearRange,
+} = require("../year-range");
 
 /**
- * Checks if the file being linted is a Vue file.
+ * Name of the internal pattern substituted for `{year}` when `yearRange` is
+ * enabled. Not a valid user-facing name to avoid collisions.
+ */
+const YEAR_RANGE_PATTERN_NAME = "__yearRange";
+
+/**
+ * Checks if {@link filename} is matched by a header configuration entry's
+ * `files` and `ignores` globs.
+ *
+ * @param {string} filename The path of the linted file, relative to the working directory.
+ * @param {HeaderFormatConfigOptions} options The header configuration entry.
+ * @returns {boolean}
+ */
+function entryAppliesTo(filename, options) {
+  const matchesGlob = (pattern) => minimatch(filename, pattern, { dot: true });
+  if (options.files && !options.files.some(matchesGlob)) {
+    return false;
+  }
+
+  return !options.ignores?.some(matchesGlob);
+}
+
+/**
+ * Gets the first header configuration entry that applies to the linted file.
  *
  * @param {import('eslint').Rule.RuleContext} context The rule context.
+ * @returns {{ options: HeaderFormatConfigOptions; index: number } | undefined} The entry and its position in the rule options.
+ */
+function getConfigEntry(context) {
+  const filename = path
+    .relative(context.cwd, context.filename)
+    .split(path.sep)
+    .join("/");
+  const index = context.options.findIndex((options) =>
+    entryAppliesTo(filename, options),
+  );
+  return index === -1 ? undefined : { options: context.options[index], index };
+}
+
+/**
+ * Describes the applied header configuration entry for report messages. Empty
+ * when the rule is configured with a single, unnamed entry. Unnamed entries are
+ * numbered from 1.
+ *
+ * @param {import('eslint').Rule.RuleContext} context The rule context.
+ * @param {{ options: HeaderFormatConfigOptions; index: number }} entry The applied entry.
+ * @returns {string}
+ */
+function describeConfigEntry(context, entry) {
+  if (entry.options.name) {
+    return ` (header configuration "${entry.options.name}")`;
+  }
+
+  return context.options.length > 1
+    ? ` (header configuration #${entry.index + 1})`
+    : "";
+}
+
+/**
+ * Checks if the file being linted is a Vue file.
+ *
+ * @param {HeaderFormatConfigOptions} options The header configuration entry.
  * @returns {boolean}
  */
-function parseAsVue(context) {
-  return context.options[0].enableVueSupport;
+function parseAsVue(options) {
+  return options.enableVueSupport;
 }
 
 /**
@@ -42,46 +126,87 @@ function vueHasHeaderComment(program) {
 }
 
 /**
- * Checks if {@link program} is preceded by a comment block. Ignores shebang,
- * if present.
+ * Default patterns of leading comments that are tooling directives rather than
+ * headers. Matched against a comment's content, ignoring leading whitespace
+ * and asterisks.
+ */
+const DEFAULT_DIRECTIVE_PATTERNS = [
+  "^eslint(?:-[a-z-]+)?(?:\\s|$)",
+  "^globals?\\s",
+  "^exported\\s",
+  "^jshint\\s",
+  "^istanbul\\s+ignore\\b",
+  "^(?:c8|v8)\\s+ignore\\b",
+  "^@ts-(?:no)?check\\b",
+  "^@(?:no)?flow\\b",
+  "^prettier-ignore\\b",
+];
+
+/**
+ * Checks if {@link comment} is a tooling directive, which is never treated as
+ * the header.
+ *
+ * @param {import('@types/estree').Comment} comment The comment to check.
+ * @param {HeaderFormatConfigOptions} options The header configuration entry.
+ * @returns {boolean}
+ */
+function isDirectiveComment(comment, options) {
+  if (comment.type === "Shebang") {
+    return false;
+  }
+
+  const content = comment.value.replace(/^[\s*]*/, "");
+  return (options.directivePatterns ?? DEFAULT_DIRECTIVE_PATTERNS).some(
+    (pattern) => new RegExp(pattern).test(content),
+  );
+}
+
+/**
+ * Gets the comments preceding {@link program}'s first token, excluding the
+ * shebang. Files without code consist of leading comments only.
+ *
+ * @param {import('eslint').Rule.RuleContext} context The rule context.
+ * @param {import('@types/estree').Program} program The program AST node.
+ * @returns {import('@types/estree').Comment[]}
+ */
+function getLeadingComments(context, program) {
+  const comments =
+    program.body.length === 0
+      ? context.sourceCode.getAllComments()
+      : context.sourceCode.getCommentsBefore(program);
+  return comments.filter((comment) => comment.type !== "Shebang");
+}
+
+/**
+ * Checks if {@link program} is preceded by a comment block. Ignores shebang
+ * and directive comments, if present.
  *
  * @param {import('@types/estree').Program} program The program AST node to check.
  * @param {import('eslint').Rule.RuleContext} context The rule context.
+ * @param {HeaderFormatConfigOptions} options The header configuration entry.
  * @returns {boolean} A flag indicating the presence of a leading comment.
  */
-function hasHeaderComment(program, context) {
-  if (parseAsVue(context)) {
+function hasHeaderComment(program, context, options) {
+  if (parseAsVue(options)) {
     return vueHasHeaderComment(program);
   }
 
-  const firstComments = context.sourceCode.getCommentsBefore(program);
-  if (firstComments.length === 0) {
-    return false;
-  } else if (
-    firstComments.length === 1 &&
-    firstComments[0].type === "Shebang"
-  ) {
-    return false;
-  } else {
-    return true;
-  }
+  return getLeadingComments(context, program).some(
+    (comment) => !isDirectiveComment(comment, options),
+  );
 }
 
 /**
- * Gets header comment. Assumes at least one leading comment exists. Joins
- * consecutive line comments.
+ * Gets the comment block starting at {@link startingIndex}. Joins consecutive
+ * line comments, stopping at directive comments.
  *
  * @param {import('eslint').Rule.RuleContext} context Rule context
- * @param {import('@types/estree').Program} program Program node
+ * @param {import('@types/estree').Comment[]} comments All comments in the file.
+ * @param {number} startingIndex Index of the block's first comment.
+ * @param {HeaderFormatConfigOptions} options The header configuration entry.
  * @returns {import('@types/estree').Comment[]} Array of comment AST nodes.
  */
-function getHeaderComments(context, program) {
-  if (parseAsVue(context)) {
-    return [program.templateBody.parent.comments[0]];
-  }
-
-  const comments = context.sourceCode.getAllComments();
-  const startingIndex = comments[0].type === "Shebang" ? 1 : 0;
+function getCommentBlock(context, comments, startingIndex, options) {
   if (comments[startingIndex].type === "Block") {
     return [comments[startingIndex]];
   }
@@ -93,7 +218,8 @@ function getHeaderComments(context, program) {
         .getText()
         .slice(comments[i - 1].range[1], comments[i].range[0])
         .match(/^(\r\n|\r|\n)$/) ||
-      comments[i].type !== "Line"
+      comments[i].type !== "Line" ||
+      isDirectiveComment(comments[i], options)
     ) {
       break;
     }
@@ -104,6 +230,164 @@ function getHeaderComments(context, program) {
   return lineComments;
 }
 
+/**
+ * Gets header comment. Assumes at least one leading comment exists.
+ *
+ * @param {import('eslint').Rule.RuleContext} context Rule context
+ * @param {import('@types/estree').Program} program Program node
+ * @param {HeaderFormatConfigOptions} options The header configuration entry.
+ * @returns {import('@types/estree').Comment[]} Array of comment AST nodes.
+ */
+function getHeaderComments(context, program, options) {
+  if (parseAsVue(options)) {
+    return [program.templateBody.parent.comments[0]];
+  }
+
+  const comments = context.sourceCode.getAllComments();
+  const startingIndex = comments.findIndex(
+    (comment) =>
+      comment.type !== "Shebang" && !isDirectiveComment(comment, options),
+  );
+  return getCommentBlock(context, comments, startingIndex, options);
+}
+
+/**
+ * Checks if the file starts with a JSDoc comment that is a legal comment
+ * because it contains `@license` or `@preserve`.
+ *
+ * @param {import('eslint').Rule.RuleContext} context Rule context
+ * @param {HeaderFormatConfigOptions} options The header configuration entry.
+ * @returns {boolean}
+ */
+function hasJsdocLegalHeader(context, options) {
+  const headerComment = context.sourceCode
+    .getAllComments()
+    .find(
+      (comment) =>
+        comment.type !== "Shebang" && !isDirectiveComment(comment, options),
+    );
+  return (
+    !!headerComment &&
+    getCommentStyle(headerComment) === "jsdoc" &&
+    isLegalComment(headerComment)
+  );
+}
+
+/**
+ * Splits every comment in the file, other than the shebang and directives,
+ * into comment blocks.
+ *
+ * @param {import('eslint').Rule.RuleContext} context Rule context
+ * @param {HeaderFormatConfigOptions} options The header configuration entry.
+ * @returns {import('@types/estree').Comment[][]} The comment blocks.
+ */
+function getCommentBlocks(context, options) {
+  if (parseAsVue(options)) {
+    return [];
+  }
+
+  const comments = context.sourceCode.getAllComments();
+  const commentBlocks = [];
+  for (let i = 0; i < comments.length; i += 1) {
+    if (
+      comments[i].type === "Shebang" ||
+      isDirectiveComment(comments[i], options)
+    ) {
+      continue;
+    }
+
+    const commentBlock = getCommentBlock(context, comments, i, options);
+    commentBlocks.push(commentBlock);
+    i += commentBlock.length - 1;
+  }
+
+  return commentBlocks;
+}
+
+/**
+ * Checks if {@link comments} can be a copy of the header. Comments nested in
+ * the code, and comments documenting the declaration on the next line, e.g. a
+ * function's JSDoc, cannot.
+ *
+ * @param {import('eslint').Rule.RuleContext} context Rule context
+ * @param {import('@types/estree').Comment[]} comments The comment block.
+ * @returns {boolean}
+ */
+function canBeHeaderCopy(context, comments) {
+  const { sourceCode } = context;
+  const enclosingNode = sourceCode.getNodeByRangeIndex(comments[0].range[0]);
+  if (enclosingNode && enclosingNode.type !== "Program") {
+    return false;
+  }
+
+  const lastComment = comments[comments.length - 1];
+  const nextToken = sourceCode.getTokenAfter(lastComment);
+  if (!nextToken || nextToken.loc.start.line > lastComment.loc.end.line + 1) {
+    return true;
+  }
+
+  let node = sourceCode.getNodeByRangeIndex(nextToken.range[0]);
+  while (
+    node?.parent &&
+    node.parent.type !== "Program" &&
+    node.parent.range[0] === nextToken.range[0]
+  ) {
+    node = node.parent;
+  }
+
+  return !node?.type.endsWith("Declaration");
+}
+
+/**
+ * Gets the source range removed when deleting {@link comments}. Comments on
+ * their own lines are removed along with their indentation and line break.
+ *
+ * @param {string} sourceText The source code.
+ * @param {import('@types/estree').Comment[]} comments The comments to remove.
+ * @returns {[number, number]}
+ */
+function getCommentBlockRemovalRange(sourceText, comments) {
+  let start = comments[0].range[0];
+  let end = comments[comments.length - 1].range[1];
+  const indentation = /(?:^|\r\n|\r|\n)([ \t]*)$/.exec(
+    sourceText.slice(0, start),
+  );
+  if (indentation) {
+    start -= indentation[1].length;
+    const lineBreak = /^[ \t]*(?:\r\n|\r|\n)/.exec(sourceText.slice(end));
+    if (lineBreak) {
+      end += lineBreak[0].length;
+    }
+  }
+
+  return [start, end];
+}
+
+/**
+ * Gets the leading directive comments placed on the wrong side of the header,
+ * according to the `headerPlacement` option.
+ *
+ * @param {import('eslint').Rule.RuleContext} context The rule context.
+ * @param {import('@types/estree').Program} program The program AST node.
+ * @param {import('@types/estree').Comment[]} headerComments The header comments.
+ * @param {HeaderFormatConfigOptions} options The header configuration entry.
+ * @returns {import('@types/estree').Comment[]}
+ */
+function getMisplacedDirectives(context, program, headerComments, options) {
+  if (parseAsVue(options) || options.headerPlacement === "any") {
+    return [];
+  }
+
+  const headerStart = headerComments[0].range[0];
+  return getLeadingComments(context, program).filter(
+    (comment) =>
+      isDirectiveComment(comment, options) &&
+      (options.headerPlacement === "beforeDirectives"
+        ? comment.range[0] < headerStart
+        : comment.range[0] > headerStart),
+  );
+}
+
 function getFirstVueContentNode(program) {
   let firstVueNode;
   for (const child of program.templateBody.parent.children) {
@@ -132,10 +416,11 @@ function getFirstVueContentNode(program) {
  * @param {import('eslint').RuleContext} context The context.
  * @param {import('@types/estree').Program} program The program AST node.
  * @param {import('@types/estree').Comment[]} headerComments The list of leading header comment nodes.
+ * @param {HeaderFormatConfigOptions} options The header configuration entry.
  * @returns {import('@types/estree').Node}
  */
-function getFirstContentNode(context, program, headerComments) {
-  if (parseAsVue(context)) {
+function getFirstContentNode(context, program, headerComments, options) {
+  if (parseAsVue(options)) {
     return getFirstVueContentNode(program);
   }
 
@@ -150,16 +435,91 @@ function getFirstContentNode(context, program, headerComments) {
  *
  * @param {import('eslint').RuleContext} context The rule context
  * @param {import('@types/estree').Program} program The program node.
+ * @param {HeaderFormatConfigOptions} options The header configuration entry.
  * @returns Node
  */
-function getMissingHeaderInsertionNode(context, program) {
-  if (parseAsVue(context)) {
+function getMissingHeaderInsertionNode(context, program, options) {
+  if (parseAsVue(options)) {
     return program.templateBody.parent;
   }
 
+  const firstDirective = getLeadingComments(context, program).find((comment) =>
+    isDirectiveComment(comment, options),
+  );
+  if (firstDirective && options.headerPlacement === "beforeDirectives") {
+    return firstDirective;
+  }
+
   return program.body[0] || program;
 }
 
+/**
+ * Fills in the regex and default value of patterns declaring a pattern type or
+ * allowed values, unless configured explicitly. Patterns with allowed values
+ * match the allowed and deprecated values. Default values of pattern types,
+ * e.g. the current year, are flagged as such, since they are only suggested.
+ *
+ * @param {Object.<string, PatternConfig> | undefined} patterns The pattern configuration.
+ * @returns {Object.<string, PatternConfig> | undefined}
+ */
+function resolvePatterns(patterns) {
+  if (!patterns) {
+    return undefined;
+  }
+
+  return Object.fromEntries(
+    Object.entries(patterns).map(([patternName, patternConfig]) => {
+      const patternType = PATTERN_TYPES[patternConfig.type];
+      let pattern = patternConfig.pattern ?? patternType?.pattern;
+      if (pattern === undefined && patternConfig.enum) {
+        // Values must not continue into a word, e.g. `NewCo` in `NewCorp`.
+        pattern = `(?:${[
+          ...patternConfig.enum,
+          ...Object.keys(patternConfig.deprecated ?? {}),
+        ]
+          .sort((a, b) => b.length - a.length)
+          .map(escapeRegex)
+          .join("|")})(?![^\\s.,;:)])`;
+      }
+
+      const typeDefaultValue =
+        patternConfig.defaultValue === undefined
+          ? patternType?.getDefaultValue?.()
+          : undefined;
+      return [
+        patternName,
+        {
+          ...patternConfig,
+          pattern,
+          defaultValue: patternConfig.defaultValue ?? typeDefaultValue,
+          isTypeDefault: typeDefaultValue !== undefined,
+        },
+      ];
+    }),
+  );
+}
+
+/**
+ * Renames captured pattern values, e.g. to carry the values of a legacy
+ * template's patterns over to the current template.
+ *
+ * @param {Object.<string, string[]> | null} patternValues The captured pattern values.
+ * @param {Object.<string, string> | undefined} patternNames Maps the current names of patterns to their new names.
+ * @returns {Object.<string, string[]> | null} The renamed values, or `null` if nothing was captured.
+ */
+function renamePatternValues(patternValues, patternNames) {
+  if (!patternValues || !patternNames) {
+    return patternValues;
+  }
+
+  return Object.fromEntries(
+    Object.entries(patternValues).map(([name, values]) => [
+      patternNames[name] ?? name,
+      values,
+    ]),
+  );
+}
+
 /**
  * @param {Object.<string, PatternConfig> | undefined>} patterns The pattern configuration
  * @returns {Object.<string, string> | undefined}
@@ -177,7 +537,161 @@ function getDefaultPatternValues(patterns) {
 }
 
 /**
- * @param {Object.<string, string> | undefined} variables The variables configuration.
+ * Gets the variables available to every header template.
+ *
+ * @param {import('eslint').Rule.RuleContext} context The rule context.
+ * @param {HeaderFormatConfigOptions} options The header configuration applied to the file.
+ * @returns {Object.<string, string | (() => string | undefined)>} The built-in variables. Functions are only called for variables a template uses.
+ */
+function getBuiltinVariables(context, options) {
+  const currentYear = `${new Date().getFullYear()}`;
+  const filename = path.resolve(context.cwd, context.filename);
+  const root = path.resolve(context.cwd, options.root ?? "");
+  const fileVariables = getFileVariables(filename, root, options.moduleName);
+  return {
+    year: currentYear,
+    currentYear,
+    ...fileVariables,
+    owner: () => getCodeOwner(fileVariables["file.path"], root),
+    ...getPackageVariables(filename),
+    ...getGitVariables(filename),
+  };
+}
+
+/**
+ * Gets the offset of a comment's value within the source text.
+ *
+ * @param {import('@types/estree').Comment} comment The comment node.
+ * @returns {number} The index of the first character of the comment's value.
+ */
+function getCommentValueStart(comment) {
+  // HTML comments open with "<!--", JavaScript comments with "//" or "/*".
+  return comment.range[0] + (comment.type === "HTMLComment" ? 4 : 2);
+}
+
+/**
+ * Maps a range within the joined, EOL-normalized values of {@link comments}
+ * (as seen by {@link CommentBlockMatcher}) to a range within the source text.
+ *
+ * @param {import('@types/estree').Comment[]} comments The header comments.
+ * @param {[number, number]} range The range within the normalized content.
+ * @returns {[number, number]} The range within the source text.
+ */
+function getSourceRange(comments, range) {
+  function getSourceIndex(normalizedIndex) {
+    let remaining = normalizedIndex;
+    for (const comment of comments) {
+      const normalizedLength = normalizeEol(comment.value).length;
+      if (remaining <= normalizedLength) {
+        let rawIndex = 0;
+        for (let i = 0; i < remaining; i += 1) {
+          rawIndex += comment.value.startsWith("\r\n", rawIndex) ? 2 : 1;
+        }
+        return getCommentValueStart(comment) + rawIndex;
+      }
+
+      // Comments are joined with a single newline character.
+      remaining -= normalizedLength + 1;
+    }
+
+    return comments[comments.length - 1].range[1];
+  }
+
+  return [getSourceIndex(range[0]), getSourceIndex(range[1])];
+}
+
+/**
+ * Maps a range within the joined, EOL-normalized values of {@link comments}
+ * to a location within the source text.
+ *
+ * @param {import('eslint').Rule.RuleContext} context The rule context.
+ * @param {import('@types/estree').Comment[]} comments The header comments.
+ * @param {[number, number]} range The range within the normalized content.
+ * @returns {import('@types/estree').SourceLocation} The location within the source text.
+ */
+function getSourceLoc(context, comments, range) {
+  const sourceRange = getSourceRange(comments, range);
+  return {
+    start: context.sourceCode.getLocFromIndex(sourceRange[0]),
+    end: context.sourceCode.getLocFromIndex(sourceRange[1]),
+  };
+}
+
+/**
+ * Describes a mismatched header line for report messages. The internal year
+ * range pattern is shown as `{year}`, as configured.
+ *
+ * @param {import('../comment-block-matcher').MismatchInfo | null} mismatch The mismatch.
+ * @returns {string} The description, or an empty string if the mismatch could not be located.
+ */
+function describeMismatch(mismatch) {
+  if (!mismatch) {
+    return "";
+  }
+
+  const expected = mismatch.expected?.replaceAll(
+    getPatternIdentifier(YEAR_RANGE_PATTERN_NAME),
+    "{year}",
+  );
+  return {
+    content: ` Expected "${expected}" but found "${mismatch.actual}".`,
+    pattern: ` Expected "${expected}" but found "${mismatch.actual}", which does not match its patterns.`,
+    missing: ` Missing "${expected}".`,
+    extra: ` Unexpected "${mismatch.actual}".`,
+  }[mismatch.type];
+}
+
+/**
+ * Wraps the template lines to {@link width}, keeping section markers and
+ * free-text slots on their own lines. Patterns take up the length of their
+ * default values, if any.
+ *
+ * @param {string[]} lines The template lines.
+ * @param {number} width The maximum number of characters per line.
+ * @param {Object.<string, string> | undefined} defaultPatternValues The default pattern values.
+ * @returns {string[]} The wrapped template lines.
+ */
+function wrapTemplateLines(lines, width, defaultPatternValues) {
+  const getLength = (text) =>
+    text.replace(
+      /\((\w+)\)/g,
+      (identifier, patternName) =>
+        defaultPatternValues?.[patternName] ?? identifier,
+    ).length;
+  return lines.flatMap((line) =>
+    isSectionMarker(line) || getFreeTextSlotName(line)
+      ? [line]
+      : wrapLines([line], width, getLength),
+  );
+}
+
+/**
+ * Gets the value of a variable.
+ *
+ * @param {string | (() => string | undefined)} variable The variable, or a function computing its value.
+ * @returns {string | undefined} The value, or `undefined` if the variable has none.
+ */
+function resolveVariable(variable) {
+  return typeof variable === "function" ? variable() : variable;
+}
+
+/**
+ * Gets the names of the variables used in {@link str} that have no value,
+ * e.g. `owner` for a file without an owner.
+ *
+ * @param {Object.<string, string | (() => string | undefined)>} variables The variables.
+ * @param {string} str
+ * @returns {string[]}
+ */
+function getUnresolvedVariables(variables, str) {
+  return Object.keys(variables).filter(
+    (key) =>
+      str.includes(`{${key}}`) && resolveVariable(variables[key]) === undefined,
+  );
+}
+
+/**
+ * @param {Object.<string, string | (() => string | undefined)> | undefined} variables The variables configuration. Functions are called for variables {@link str} contains, and variables without a value are not replaced.
  * @param {string} str
  * @returns A copy of {@link str} with replaced variables.
  */
@@ -192,7 +706,15 @@ function formatVariables(variables, str) {
 
   let formatted = `${str}`;
   Object.keys(variables).forEach((key) => {
-    formatted = formatted.replaceAll(`{${key}}`, variables[key]);
+    const placeholder = `{${key}}`;
+    if (!formatted.includes(placeholder)) {
+      return;
+    }
+
+    const value = resolveVariable(variables[key]);
+    if (value !== undefined) {
+      formatted = formatted.replaceAll(placeholder, value);
+    }
   });
   return formatted;
 }
@@ -204,28 +726,119 @@ function formatVariables(variables, str) {
 /**
  * @typedef {("file" | "string")} SourceType
  *
- * @typedef {("line" | "jsdoc" | "html")} StyleType
+ * @typedef {("line" | "jsdoc" | "block" | "legal" | "banner" | "html")} StyleType
+ *
+ * @typedef BannerConfig
+ * @type {object}
+ * @property {string} border
+ * @property {number} width
+ * @property {("left" | "center" | "right")} align
+ * @property {string} lineSuffix
  *
  * @typedef PatternConfig
  * @type {object}
  * @property {string} pattern
+ * @property {("year" | "yearRange" | "date" | "email" | "semver" | "spdx")} type
+ * @property {string[]} enum
+ * @property {Object.<string, string>} deprecated
  * @property {string} defaultValue
+ * @property {boolean} [isTypeDefault] Whether the default value is the default value of the pattern's type rather than a configured one.
+ *
+ * @typedef LegacyHeaderConfig
+ * @type {object}
+ * @property {SourceType} source
+ * @property {string} content
+ * @property {string} path
+ * @property {Object.<string, PatternConfig>} patterns
+ * @property {Object.<string, string>} patternNames Maps names of patterns in the legacy template to names of patterns in the current template.
  *
  * @typedef HeaderFormatConfigOptions
  * @type {object}
+ * @property {string} name
+ * @property {string[]} files
+ * @property {string[]} ignores
  * @property {SourceType} source
  * @property {StyleType} style
+ * @property {BannerConfig} banner
  * @property {string} content
  * @property {string} path
+ * @property {("exact" | "prefix" | "contains")} matchMode
+ * @property {import('../comment-block-matcher').NormalizeConfig} normalize
  * @property {boolean} preservePragmas
+ * @property {import('../pragma-policy').PragmaPolicyConfig} pragmas
  * @property {string} blockPrefix
  * @property {string} blockSuffix
  * @property {string} linePrefix
  * @property {number} trailingNewlines
+ * @property {number} maxLineLength
  * @property {Object.<string, string>} variables
+ * @property {string} root
+ * @property {import('../file-variables').ModuleNameConfig} moduleName
  * @property {Object.<string, PatternConfig>} patterns
+ * @property {boolean} yearRange
+ * @property {import('../git').ChangedFilesConfig} staleYear
+ * @property {LegacyHeaderConfig[]} legacyHeaders
+ * @property {string[]} directivePatterns
+ * @property {("any" | "beforeDirectives" | "afterDirectives")} headerPlacement
  */
 
+const patternsSchema = {
+  type: "object",
+  patternProperties: {
+    // The name of the internal year range pattern is reserved.
+    [`^(?!${YEAR_RANGE_PATTERN_NAME}$)\\w+$`]: {
+      type: "object",
+      properties: {
+        pattern: {
+          type: "string",
+        },
+        type: {
+          enum: Object.keys(PATTERN_TYPES),
+        },
+        enum: {
+          type: "array",
+          items: { type: "string" },
+          minItems: 1,
+        },
+        deprecated: {
+          type: "object",
+          additionalProperties: { type: "string" },
+        },
+        defaultValue: {
+          type: "string",
+        },
+      },
+      anyOf: [
+        { required: ["pattern"] },
+        { required: ["type"] },
+        { required: ["enum"] },
+      ],
+    },
+  },
+  additionalProperties: false,
+};
+
+const sourceSchemaConditions = [
+  {
+    if: {
+      properties: { source: { const: "file" } },
+      required: ["source"],
+    },
+    then: {
+      required: ["path"],
+    },
+  },
+  {
+    if: {
+      properties: { source: { const: "string" } },
+      required: ["source"],
+    },
+    then: {
+      required: ["content"],
+    },
+  },
+];
+
 /** @type {import('eslint').Rule.RuleModule} */
 module.exports = {
   meta: {
@@ -236,32 +849,144 @@ module.exports = {
       recommended: false,
     },
     messages: {
-      missingHeader: "No header found.",
-      headerContentMismatch: "Header does not include expected content.",
-      trailingNewlinesMismatch: "Mismatched trailing newlines",
+      missingHeader: "No header found.{{entry}}",
+      headerContentMismatch:
+        "Header does not include expected content.{{details}}{{entry}}",
+      trailingNewlinesMismatch: "Mismatched trailing newlines.{{entry}}",
+      staleYear:
+        'Copyright year "{{actual}}" should be "{{expected}}".{{entry}}',
+      invalidPatternValue:
+        'Value "{{value}}" of pattern "{{name}}" {{problem}}.{{entry}}',
+      legacyHeader:
+        "Header matches a legacy template and should be updated.{{entry}}",
+      styleMismatch:
+        'Header must be a "{{expected}}" comment instead of a "{{actual}}" comment.{{entry}}',
+      misplacedHeader:
+        "Header must be placed at the start of the file.{{entry}}",
+      duplicateHeader: "Header is duplicated.{{entry}}",
+      unresolvedVariable:
+        'Variable "{{name}}" has no value for this file.{{entry}}',
+      headerPlacement:
+        "Header must be placed {{placement}} directive comments.{{entry}}",
+      disallowedPragma:
+        'Pragma "@{{tag}}" is not allowed in the header.{{entry}}',
+      pragmaOrder: "Pragmas must be sorted alphabetically.{{entry}}",
+      pragmaPlacement:
+        "Pragmas must be placed {{placement}} the header content, separated by {{blankLines}} empty line(s).{{entry}}",
+      insertHeader: "Insert the expected header.",
+      replaceHeader: "Replace the header with the expected content.",
+      removeDuplicateHeader: "Remove the duplicated header.",
+      replacePatternValue: "Replace the value with the default value.",
     },
     fixable: "code",
-    schema: [
-      {
+    hasSuggestions: true,
+    schema: {
+      type: "array",
+      minItems: 1,
+      items: {
         type: "object",
         properties: {
+          name: {
+            type: "string",
+          },
+          files: {
+            type: "array",
+            items: { type: "string" },
+            minItems: 1,
+          },
+          ignores: {
+            type: "array",
+            items: { type: "string" },
+          },
           source: {
             enum: ["file", "string"],
           },
           style: {
-            enum: ["line", "jsdoc"],
+            enum: ["line", "jsdoc", "block", "legal", "banner"],
             default: "jsdoc",
           },
+          banner: {
+            type: "object",
+            properties: {
+              border: {
+                type: "string",
+                minLength: 1,
+                maxLength: 1,
+                default: "*",
+              },
+              width: {
+                type: "integer",
+                minimum: 8,
+                default: 80,
+              },
+              align: {
+                enum: ["left", "center", "right"],
+                default: "left",
+              },
+              lineSuffix: {
+                type: "string",
+              },
+            },
+            additionalProperties: false,
+          },
           content: {
             type: "string",
           },
           path: {
             type: "string",
           },
+          matchMode: {
+            enum: ["exact", "prefix", "contains"],
+          },
+          normalize: {
+            type: "object",
+            properties: {
+              ignoreCase: {
+                type: "boolean",
+                default: false,
+              },
+              equivalents: {
+                type: "array",
+                items: {
+                  type: "array",
+                  items: { type: "string", minLength: 1 },
+                  minItems: 2,
+                },
+              },
+            },
+            additionalProperties: false,
+          },
           preservePragmas: {
             type: "boolean",
             default: true,
           },
+          pragmas: {
+            type: "object",
+            properties: {
+              allow: {
+                type: "array",
+                items: { type: "string" },
+              },
+              deny: {
+                type: "array",
+                items: { type: "string" },
+              },
+              placement: {
+                enum: ["before", "after"],
+                default: "after",
+              },
+              blankLines: {
+                type: "integer",
+                minimum: 0,
+                default: 1,
+              },
+              sort: {
+                enum: ["none", "alphabetical"],
+                default: "none",
+              },
+            },
+            additionalProperties: false,
+          },
           blockPrefix: {
             type: "string",
           },
@@ -274,6 +999,10 @@ module.exports = {
           trailingNewlines: {
             type: "number",
           },
+          maxLineLength: {
+            type: "integer",
+            minimum: 1,
+          },
           variables: {
             type: "object",
             patternProperties: {
@@ -283,90 +1012,227 @@ module.exports = {
             },
             additionalProperties: false,
           },
-          patterns: {
+          root: {
+            type: "string",
+          },
+          moduleName: {
             type: "object",
-            patternProperties: {
-              "^\\w+$": {
-                type: "object",
-                properties: {
-                  pattern: {
-                    type: "string",
-                  },
-                  defaultValue: {
-                    type: "string",
-                  },
-                },
-                required: ["pattern"],
+            properties: {
+              stripPrefixes: {
+                type: "array",
+                items: { type: "string" },
+              },
+              stripIndex: {
+                type: "boolean",
               },
             },
             additionalProperties: false,
           },
+          patterns: patternsSchema,
           enableVueSupport: {
             type: "boolean",
             default: false,
           },
-        },
-        required: ["source"],
-        allOf: [
-          {
-            if: {
-              properties: { source: { const: "file" } },
-              required: ["source"],
-            },
-            then: {
-              required: ["path"],
+          yearRange: {
+            type: "boolean",
+            default: false,
+          },
+          staleYear: {
+            type: "object",
+            properties: {
+              changedSince: {
+                type: "string",
+              },
+              staged: {
+                type: "boolean",
+              },
             },
+            additionalProperties: false,
           },
-          {
-            if: {
-              properties: { source: { const: "string" } },
+          directivePatterns: {
+            type: "array",
+            items: { type: "string" },
+          },
+          headerPlacement: {
+            enum: ["any", "beforeDirectives", "afterDirectives"],
+            default: "any",
+          },
+          legacyHeaders: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                source: {
+                  enum: ["file", "string"],
+                },
+                content: {
+                  type: "string",
+                },
+                path: {
+                  type: "string",
+                },
+                patterns: patternsSchema,
+                patternNames: {
+                  type: "object",
+                  patternProperties: {
+                    "^\\w+$": {
+                      type: "string",
+                      pattern: "^\\w+$",
+                    },
+                  },
+                  additionalProperties: false,
+                },
+              },
               required: ["source"],
-            },
-            then: {
-              required: ["content"],
+              additionalProperties: false,
+              allOf: sourceSchemaConditions,
             },
           },
-        ],
+        },
+        required: ["source"],
+        allOf: sourceSchemaConditions,
       },
-    ],
+    },
   },
 
   create(context) {
+    const configEntry = getConfigEntry(context);
+    if (!configEntry) {
+      return {};
+    }
+
     /** @type {HeaderFormatConfigOptions} */
-    const headerFormatConfigOptions = context.options[0];
-    const patterns = headerFormatConfigOptions.patterns;
+    const headerFormatConfigOptions = configEntry.options;
+    const entryDescription = describeConfigEntry(context, configEntry);
+
+    /**
+     * Reports a problem, noting which header configuration entry was applied.
+     *
+     * @param {import('eslint').Rule.ReportDescriptor} descriptor The report descriptor.
+     */
+    function report(descriptor) {
+      context.report({
+        ...descriptor,
+        data: { ...descriptor.data, entry: entryDescription },
+      });
+    }
+
+    const currentYear = new Date().getFullYear();
+    const yearRange = headerFormatConfigOptions.yearRange;
+    const configuredPatterns = resolvePatterns(
+      headerFormatConfigOptions.patterns,
+    );
+    const patterns = yearRange
+      ? {
+          ...configuredPatterns,
+          [YEAR_RANGE_PATTERN_NAME]: {
+            pattern: YEAR_RANGE_PATTERN,
+            defaultValue: `${currentYear}`,
+          },
+        }
+      : configuredPatterns;
+    // Default values of pattern types, e.g. today's date, are not applied
+    // automatically, since they would make up provenance data.
+    const hasFixableDefault = (patternName) =>
+      patterns[patternName].defaultValue !== undefined &&
+      !patterns[patternName].isTypeDefault;
     const canApplyFix = patterns
-      ? Object.keys(patterns).every(
-          (patternName) => patterns[patternName].defaultValue !== undefined,
-        )
+      ? Object.keys(patterns).every(hasFixableDefault)
       : true;
     const defaultPatternValues = getDefaultPatternValues(patterns);
 
     /**
-     * @param {import('eslint').Rule.RuleFixer} fixerFn
+     * Checks if stale years are reported for the file. When `staleYear`
+     * configures which changes count, only changed files are checked, unless
+     * git cannot tell whether the file changed.
+     *
+     * @returns {boolean}
      */
-    function getFixerFn(fixerFn) {
-      return canApplyFix ? fixerFn : undefined;
+    function isStaleYearChecked() {
+      const { changedSince, staged } =
+        headerFormatConfigOptions.staleYear ?? {};
+      if (!changedSince && !staged) {
+        return true;
+      }
+
+      return (
+        isFileChanged(path.resolve(context.cwd, context.filename), {
+          changedSince,
+          staged,
+        }) ?? true
+      );
     }
 
-    const configuredHeaderContent =
-      headerFormatConfigOptions.source === "file"
-        ? fs.readFileSync(headerFormatConfigOptions.path, "utf-8").trimEnd()
-        : headerFormatConfigOptions.content;
+    /**
+     * Offers {@link fixerFn} as a fix when it can be applied safely, or as an
+     * editor suggestion otherwise. Suggested headers contain placeholders for
+     * pattern values that are neither captured nor defaulted.
+     *
+     * @param {boolean} canFix Whether the fix can be applied automatically.
+     * @param {string} suggestionMessageId The message describing the suggestion.
+     * @param {import('eslint').Rule.ReportFixer} fixerFn The fixer function.
+     * @returns {Pick<import('eslint').Rule.ReportDescriptor, "fix" | "suggest">}
+     */
+    function getFixOrSuggestion(canFix, suggestionMessageId, fixerFn) {
+      return canFix
+        ? { fix: fixerFn }
+        : { suggest: [{ messageId: suggestionMessageId, fix: fixerFn }] };
+    }
 
-    const variables = headerFormatConfigOptions.variables;
-    const expectedHeaderText = formatVariables(
+    const pragmaPolicy =
+      headerFormatConfigOptions.pragmas &&
+      new PragmaPolicy(headerFormatConfigOptions.pragmas);
+
+    const variables = {
+      ...getBuiltinVariables(context, headerFormatConfigOptions),
+      ...headerFormatConfigOptions.variables,
+    };
+
+    /**
+     * Reads a header template and fills in its variables.
+     *
+     * @param {{ source: SourceType; content?: string; path?: string }} templateOptions The template's source options.
+     * @returns {string[]} The template's lines.
+     */
+    function getTemplateLines(templateOptions) {
+      let templateContent =
+        templateOptions.source === "file"
+          ? fs.readFileSync(templateOptions.path, "utf-8").trimEnd()
+          : templateOptions.content;
+      if (yearRange) {
+        templateContent = templateContent.replaceAll(
+          "{year}",
+          getPatternIdentifier(YEAR_RANGE_PATTERN_NAME),
+        );
+      }
+
+      return normalizeEol(formatVariables(variables, templateContent)).split(
+        "\n",
+      );
+    }
+
+    const templateLines = getTemplateLines(headerFormatConfigOptions);
+    const unresolvedVariables = getUnresolvedVariables(
       variables,
-      configuredHeaderContent,
+      [
+        ...templateLines,
+        headerFormatConfigOptions.blockPrefix,
+        headerFormatConfigOptions.blockSuffix,
+        headerFormatConfigOptions.linePrefix,
+      ].join("\n"),
     );
-
-    const normalizedHeaderText = normalizeEol(expectedHeaderText);
-    const expectedHeaderLines = normalizedHeaderText.split("\n");
     const sourceEol = getEolCharacter(context.sourceCode.getText());
 
     let style = headerFormatConfigOptions.style;
-    if (parseAsVue(context)) {
+    if (parseAsVue(headerFormatConfigOptions)) {
       style = "html";
+    } else if (
+      style === "legal" &&
+      !headerFormatConfigOptions.blockPrefix &&
+      hasJsdocLegalHeader(context, headerFormatConfigOptions)
+    ) {
+      // Minifiers keep these as well, so they are checked as they are.
+      style = "jsdoc";
     }
 
     const defaultBlockFormat = {
@@ -375,23 +1241,52 @@ module.exports = {
       linePrefix: " * ",
     };
 
+    const defaultPlainBlockFormat = {
+      blockPrefix: `${sourceEol}`,
+      blockSuffix: `${sourceEol} `,
+      linePrefix: " * ",
+    };
+
+    const defaultLegalFormat = {
+      blockPrefix: `!${sourceEol}`,
+      blockSuffix: `${sourceEol} `,
+      linePrefix: " * ",
+    };
+
     const defaultLineFormat = {
       blockPrefix: undefined,
       blockSuffix: undefined,
       linePrefix: " ",
     };
 
+    const {
+      border = "*",
+      width = 80,
+      align = "left",
+      lineSuffix,
+    } = headerFormatConfigOptions.banner ?? {};
+    const defaultBannerFormat = {
+      blockPrefix: `${border.repeat(width - 2)}${sourceEol}`,
+      blockSuffix: `${sourceEol} ${border.repeat(width - 3)}`,
+      linePrefix: " * ",
+      lineSuffix: lineSuffix ?? ` ${border}`,
+    };
+
     const defaultHtmlFormat = {
       blockPrefix: `${sourceEol}`,
       blockSuffix: `${sourceEol}`,
       linePrefix: "  ",
     };
 
-    const defaultFormat = {
+    const defaultFormats = {
       jsdoc: defaultBlockFormat,
+      block: defaultPlainBlockFormat,
+      legal: defaultLegalFormat,
+      banner: defaultBannerFormat,
       line: defaultLineFormat,
       html: defaultHtmlFormat,
-    }[style];
+    };
+    const defaultFormat = defaultFormats[style];
 
     const formatConfig = {
       blockPrefix:
@@ -403,103 +1298,595 @@ module.exports = {
       linePrefix:
         formatVariables(variables, headerFormatConfigOptions.linePrefix) ??
         defaultFormat.linePrefix,
+      lineSuffix: defaultFormat.lineSuffix,
+      width,
+      align,
       eol: sourceEol,
       defaultPatternValues,
+      pragmaPlacement: pragmaPolicy?.placement,
+      pragmaBlankLines: pragmaPolicy?.blankLines,
+      matchMode: headerFormatConfigOptions.matchMode,
+      normalize: headerFormatConfigOptions.normalize,
     };
 
+    // Line comments repeat the comment opener on every line.
+    const linePrefixWidth =
+      (style === "line" ? 2 : 0) +
+      formatConfig.linePrefix.length +
+      (formatConfig.lineSuffix?.length ?? 0);
+    // Banner lines must also fit within the banner's border.
+    const maxLineLength =
+      style === "banner"
+        ? Math.min(headerFormatConfigOptions.maxLineLength ?? width, width)
+        : headerFormatConfigOptions.maxLineLength;
+    const expectedHeaderLines = maxLineLength
+      ? wrapTemplateLines(
+          templateLines,
+          maxLineLength - linePrefixWidth,
+          defaultPatternValues,
+        )
+      : templateLines;
+
     const headerFormatter = new CommentFormatter(
       expectedHeaderLines,
       formatConfig,
     );
 
+    const legacyHeaders = (headerFormatConfigOptions.legacyHeaders ?? []).map(
+      (legacyHeaderOptions) => ({
+        expectedLines: getTemplateLines(legacyHeaderOptions),
+        patterns: {
+          ...patterns,
+          ...resolvePatterns(legacyHeaderOptions.patterns),
+        },
+        patternNames: legacyHeaderOptions.patternNames,
+      }),
+    );
+
+    /**
+     * Checks if the header can be formatted with {@link patternValues}, i.e.
+     * every pattern has either a value or a default value.
+     *
+     * @param {Object.<string, string[]>} patternValues The captured pattern values.
+     * @returns {boolean}
+     */
+    function canFormatWith(patternValues) {
+      return (
+        canApplyFix ||
+        Object.keys(patterns).every(
+          (patternName) =>
+            hasFixableDefault(patternName) ||
+            patternValues[patternName]?.every((value) => value !== undefined),
+        )
+      );
+    }
+
+    /**
+     * Creates a matcher for the configured header.
+     *
+     * @param {("exact" | "prefix" | "contains")} [matchMode] How the header is matched. Defaults to the configured match mode.
+     * @returns {CommentBlockMatcher}
+     */
+    function createHeaderMatcher(matchMode = formatConfig.matchMode) {
+      return new CommentBlockMatcher({
+        ...formatConfig,
+        matchMode,
+        style,
+        expectedLines: expectedHeaderLines,
+        patterns,
+      });
+    }
+
+    /**
+     * Matches the header against the configured content in the comment style
+     * it is written in, when that differs from the configured style.
+     *
+     * @param {import('@types/estree').Comment[]} headerComments The header comments.
+     * @returns {{ style: StyleType; patternValues: Object.<string, string[]>; sectionCounts: number[] } | undefined} The header's style, captured pattern values and section counts, if it matches.
+     */
+    function matchOtherStyle(headerComments) {
+      const actualStyle = getCommentStyle(headerComments[0]);
+      if (actualStyle === style) {
+        return undefined;
+      }
+
+      const otherStyleMatcher = new CommentBlockMatcher({
+        ...formatConfig,
+        ...defaultFormats[actualStyle],
+        lineSuffix: defaultFormats[actualStyle].lineSuffix,
+        style: actualStyle,
+        expectedLines: expectedHeaderLines,
+        patterns,
+      });
+      const otherStylePatternValues = otherStyleMatcher.match(headerComments);
+      return otherStylePatternValues
+        ? {
+            style: actualStyle,
+            patternValues: otherStyleMatcher.getPreferredPatternValues(
+              otherStylePatternValues,
+            ),
+            sectionCounts: otherStyleMatcher.sectionCounts,
+          }
+        : undefined;
+    }
+
+    /**
+     * Gets the formatter used to fix a mismatched header. Unless the header
+     * must match exactly, content other than the configured content and
+     * pragmas is kept after the configured content.
+     *
+     * @param {CommentBlockMatcher} matcher The header matcher.
+     * @param {import('@types/estree').Comment[]} headerComments The header comments.
+     * @returns {CommentFormatter}
+     */
+    function getFixFormatter(matcher, headerComments) {
+      const { matchMode } = headerFormatConfigOptions;
+      if (!matchMode || matchMode === "exact") {
+        return headerFormatter;
+      }
+
+      const pragmaLines = headerFormatter.extractPragmas(headerComments).flat();
+      const additionalLines = matcher.getAdditionalLines(
+        headerComments,
+        pragmaLines,
+      );
+      if (additionalLines.length === 0) {
+        return headerFormatter;
+      }
+
+      return new CommentFormatter(
+        [...expectedHeaderLines, "", ...additionalLines],
+        formatConfig,
+      );
+    }
+
+    /**
+     * Reports a copy of the header found after the header, with a suggestion
+     * removing it.
+     *
+     * @param {import('@types/estree').Comment[]} comments The copy's comments.
+     */
+    function reportDuplicateHeader(comments) {
+      report({
+        loc: {
+          start: comments[0].loc.start,
+          end: comments[comments.length - 1].loc.end,
+        },
+        messageId: "duplicateHeader",
+        suggest: [
+          {
+            messageId: "removeDuplicateHeader",
+            fix: function (fixer) {
+              return fixer.removeRange(
+                getCommentBlockRemovalRange(
+                  context.sourceCode.getText(),
+                  comments,
+                ),
+              );
+            },
+          },
+        ],
+      });
+    }
+
+    /**
+     * Reports a header found below the start of the file, with a fix moving
+     * it, unchanged, to where the header belongs. Any further copies are
+     * reported as duplicates.
+     *
+     * @param {import('@types/estree').Program} program The program AST node.
+     * @param {import('@types/estree').Comment[] | undefined} headerComments The leading comments not matching the header, if any.
+     * @param {import('@types/estree').Comment[][]} headerCopies The comment blocks matching the header.
+     */
+    function reportMisplacedHeader(program, headerComments, headerCopies) {
+      const [misplacedComments, ...duplicates] = headerCopies;
+      const sourceText = context.sourceCode.getText();
+      const insertionPoint = headerComments
+        ? headerComments[0]
+        : getMissingHeaderInsertionNode(
+            context,
+            program,
+            headerFormatConfigOptions,
+          );
+      report({
+        loc: {
+          start: misplacedComments[0].loc.start,
+          end: misplacedComments[misplacedComments.length - 1].loc.end,
+        },
+        messageId: "misplacedHeader",
+        fix: function (fixer) {
+          return [
+            fixer.insertTextBefore(
+              insertionPoint,
+              appendNewlines(
+                sourceText.slice(
+                  misplacedComments[0].range[0],
+                  misplacedComments[misplacedComments.length - 1].range[1],
+                ),
+                sourceEol,
+                headerFormatConfigOptions.trailingNewlines ?? 1,
+              ),
+            ),
+            fixer.removeRange(
+              getCommentBlockRemovalRange(sourceText, misplacedComments),
+            ),
+          ];
+        },
+      });
+      duplicates.forEach(reportDuplicateHeader);
+    }
+
+    /**
+     * Reports pragma expressions in a matching header that the `pragmas`
+     * policy does not allow, or that are out of order or misplaced. Fixes
+     * reformat the header with the captured pattern values.
+     *
+     * @param {import('@types/estree').Comment[]} headerComments The header comments.
+     * @param {Object.<string, string[]>} patternValues The captured pattern values.
+     * @param {number[]} sectionCounts The number of times each template section occurs.
+     */
+    function checkPragmas(headerComments, patternValues, sectionCounts) {
+      const pragmas = headerFormatter.extractPragmas(headerComments);
+      if (pragmas.length === 0) {
+        return;
+      }
+
+      const sourceText = context.sourceCode.getText();
+      const headerRange = [
+        headerComments[0].range[0],
+        headerComments[headerComments.length - 1].range[1],
+      ];
+      const headerLoc = {
+        start: headerComments[0].loc.start,
+        end: headerComments[headerComments.length - 1].loc.end,
+      };
+      const expectedHeader = headerFormatter.format(
+        style,
+        patternValues,
+        pragmaPolicy.apply(pragmas),
+        sectionCounts,
+      );
+      const fix = function (fixer) {
+        return fixer.replaceTextRange(headerRange, expectedHeader);
+      };
+
+      const disallowedPragmas = pragmas.filter(
+        (pragma) => !pragmaPolicy.isAllowed(pragma),
+      );
+      if (disallowedPragmas.length > 0) {
+        disallowedPragmas.forEach((pragma) => {
+          const index = sourceText.indexOf(pragma[0], headerRange[0]);
+          report({
+            loc: {
+              start: context.sourceCode.getLocFromIndex(index),
+              end: context.sourceCode.getLocFromIndex(index + pragma[0].length),
+            },
+            messageId: "disallowedPragma",
+            data: { tag: pragmaPolicy.getTag(pragma) },
+            fix,
+          });
+        });
+      } else if (!pragmaPolicy.isSorted(pragmas)) {
+        report({ loc: headerLoc, messageId: "pragmaOrder", fix });
+      } else if (
+        sourceText.slice(headerRange[0], headerRange[1]) !== expectedHeader
+      ) {
+        report({
+          loc: headerLoc,
+          messageId: "pragmaPlacement",
+          data: {
+            placement: pragmaPolicy.placement,
+            blankLines: pragmaPolicy.blankLines,
+          },
+          fix,
+        });
+      }
+    }
+
     //----------------------------------------------------------------------
     // Public
     //----------------------------------------------------------------------
 
     return {
       Program: function (node) {
-        if (!hasHeaderComment(node, context)) {
+        // The expected header is unknown, so it is neither checked nor fixed.
+        if (unresolvedVariables.length > 0) {
+          unresolvedVariables.forEach((name) =>
+            report({
+              loc: { line: 1, column: 0 },
+              messageId: "unresolvedVariable",
+              data: { name },
+            }),
+          );
+          return;
+        }
+
+        const hasHeader = hasHeaderComment(
+          node,
+          context,
+          headerFormatConfigOptions,
+        );
+        const headerComments = hasHeader
+          ? getHeaderComments(context, node, headerFormatConfigOptions)
+          : undefined;
+        const commentBlockMatcher = createHeaderMatcher();
+        // Copies must match exactly, so comments merely starting with the
+        // header's text are not mistaken for it.
+        const copyMatcher = createHeaderMatcher("exact");
+        const headerCopies = getCommentBlocks(
+          context,
+          headerFormatConfigOptions,
+        ).filter(
+          (commentBlock) =>
+            commentBlock[0] !== headerComments?.[0] &&
+            canBeHeaderCopy(context, commentBlock) &&
+            copyMatcher.match(commentBlock),
+        );
+        if (
+          headerCopies.length > 0 &&
+          !(headerComments && commentBlockMatcher.match(headerComments))
+        ) {
+          reportMisplacedHeader(node, headerComments, headerCopies);
+          return;
+        }
+
+        headerCopies.forEach(reportDuplicateHeader);
+
+        if (!hasHeader) {
           const missingHeaderinsertionPoint = getMissingHeaderInsertionNode(
             context,
             node,
+            headerFormatConfigOptions,
           );
-          context.report({
+          report({
             node: missingHeaderinsertionPoint,
             messageId: "missingHeader",
-            fix: getFixerFn(function (fixer) {
-              return fixer.insertTextBefore(
-                missingHeaderinsertionPoint,
-                appendNewlines(
-                  headerFormatter.format(style),
-                  sourceEol,
-                  headerFormatConfigOptions.trailingNewlines ?? 1,
-                ),
-              );
-            }),
+            ...getFixOrSuggestion(
+              canApplyFix,
+              "insertHeader",
+              function (fixer) {
+                return fixer.insertTextBefore(
+                  missingHeaderinsertionPoint,
+                  appendNewlines(
+                    headerFormatter.format(style),
+                    sourceEol,
+                    headerFormatConfigOptions.trailingNewlines ?? 1,
+                  ),
+                );
+              },
+            ),
           });
           return;
         }
 
-        const headerComments = getHeaderComments(context, node);
-        const headerCommentLines =
-          style === "line"
-            ? headerComments.map((comment) => comment.value)
-            : headerComments[0].value.split(sourceEol);
-        const commentBlockMatcher = new CommentBlockMatcher({
-          ...formatConfig,
-          style,
-          expectedLines: expectedHeaderLines,
-          patterns: headerFormatConfigOptions.patterns,
-        });
-
         const patternValues = commentBlockMatcher.match(headerComments);
 
         if (!patternValues) {
-          const headerPragmas = headerCommentLines
-            .map((line) => {
-              const match = line.match(/^[^\w]*(@\w.*)$/);
-              return match ? match[1] : undefined;
-            })
-            .filter((x) => x);
-
-          if (
-            style === "jsdoc" &&
-            headerFormatConfigOptions.preservePragmas &&
-            headerPragmas.length > 0
-          ) {
-            headerFormatter.lines = headerFormatter.lines.concat([
-              "",
-              ...headerPragmas,
-            ]);
+          const headerLoc = {
+            start: headerComments[0].loc.start,
+            end: headerComments[headerComments.length - 1].loc.end,
+          };
+          const headerRange = [
+            headerComments[0].range[0],
+            headerComments[headerComments.length - 1].range[1],
+          ];
+
+          const legacyPatternValues = legacyHeaders
+            .map(({ expectedLines, patterns: legacyPatterns, patternNames }) =>
+              renamePatternValues(
+                new CommentBlockMatcher({
+                  ...formatConfig,
+                  style,
+                  expectedLines,
+                  patterns: legacyPatterns,
+                }).match(headerComments),
+                patternNames,
+              ),
+            )
+            .find((legacyMatch) => legacyMatch);
+          const preferredLegacyPatternValues =
+            legacyPatternValues &&
+            commentBlockMatcher.getPreferredPatternValues(legacyPatternValues);
+          const otherStyleMatch =
+            !legacyPatternValues && matchOtherStyle(headerComments);
+
+          // Pragmas are read in the style the header is written in.
+          const actualFormat =
+            otherStyleMatch && defaultFormats[otherStyleMatch.style];
+          const pragmaFormatter = actualFormat
+            ? new CommentFormatter(expectedHeaderLines, {
+                ...formatConfig,
+                ...actualFormat,
+                lineSuffix: actualFormat.lineSuffix,
+              })
+            : headerFormatter;
+          let headerPragmas = headerFormatConfigOptions.preservePragmas
+            ? pragmaFormatter.extractPragmas(headerComments)
+            : undefined;
+          if (headerPragmas && pragmaPolicy) {
+            headerPragmas = pragmaPolicy.apply(headerPragmas);
           }
+          if (legacyPatternValues) {
+            report({
+              loc: headerLoc,
+              messageId: "legacyHeader",
+              ...getFixOrSuggestion(
+                canFormatWith(preferredLegacyPatternValues),
+                "replaceHeader",
+                function (fixer) {
+                  return fixer.replaceTextRange(
+                    headerRange,
+                    headerFormatter.format(
+                      style,
+                      preferredLegacyPatternValues,
+                      headerPragmas,
+                    ),
+                  );
+                },
+              ),
+            });
+          } else if (otherStyleMatch) {
+            report({
+              loc: headerLoc,
+              messageId: "styleMismatch",
+              data: { expected: style, actual: otherStyleMatch.style },
+              ...getFixOrSuggestion(
+                canFormatWith(otherStyleMatch.patternValues),
+                "replaceHeader",
+                function (fixer) {
+                  return fixer.replaceTextRange(
+                    headerRange,
+                    headerFormatter.format(
+                      style,
+                      otherStyleMatch.patternValues,
+                      headerPragmas,
+                      otherStyleMatch.sectionCounts,
+                    ),
+                  );
+                },
+              ),
+            });
+          } else {
+            const extractedPatternValues =
+              commentBlockMatcher.getPreferredPatternValues(
+                commentBlockMatcher.extractPatternValues(headerComments),
+              );
+            const mismatch = commentBlockMatcher.getMismatch(headerComments);
+            const fixFormatter = getFixFormatter(
+              commentBlockMatcher,
+              headerComments,
+            );
+            report({
+              loc: mismatch
+                ? getSourceLoc(context, headerComments, mismatch.range)
+                : headerLoc,
+              messageId: "headerContentMismatch",
+              data: { details: describeMismatch(mismatch) },
+              ...getFixOrSuggestion(
+                canFormatWith(extractedPatternValues),
+                "replaceHeader",
+                function (fixer) {
+                  return fixer.replaceTextRange(
+                    headerRange,
+                    fixFormatter.format(
+                      style,
+                      extractedPatternValues,
+                      headerPragmas,
+                      commentBlockMatcher.sectionCounts,
+                    ),
+                  );
+                },
+              ),
+            });
+          }
+        } else if (yearRange) {
+          commentBlockMatcher.patternRanges
+            .filter(({ name }) => name === YEAR_RANGE_PATTERN_NAME)
+            .forEach(({ range }) => {
+              const sourceRange = getSourceRange(headerComments, range);
+              const actual = context.sourceCode
+                .getText()
+                .slice(sourceRange[0], sourceRange[1]);
+              const expected = bumpYearRange(actual, currentYear);
+              if (actual === expected) {
+                return;
+              }
+
+              // Reversed and future ranges are invalid in every file.
+              const { start, end } = parseYearRange(actual);
+              if (start <= end && end < currentYear && !isStaleYearChecked()) {
+                return;
+              }
+
+              report({
+                loc: getSourceLoc(context, headerComments, range),
+                messageId: "staleYear",
+                data: { actual, expected },
+                fix: function (fixer) {
+                  return fixer.replaceTextRange(sourceRange, expected);
+                },
+              });
+            });
+        }
+
+        if (patternValues) {
+          commentBlockMatcher
+            .getInvalidPatternValues(headerComments)
+            .forEach(({ name, value, range, problem, replacement }) => {
+              const sourceRange = getSourceRange(headerComments, range);
+              const preferredValue = replacement ?? defaultPatternValues[name];
+              report({
+                loc: getSourceLoc(context, headerComments, range),
+                messageId: "invalidPatternValue",
+                data: { name, value, problem },
+                ...(preferredValue !== undefined &&
+                  preferredValue !== value &&
+                  getFixOrSuggestion(
+                    replacement !== undefined || hasFixableDefault(name),
+                    "replacePatternValue",
+                    function (fixer) {
+                      return fixer.replaceTextRange(
+                        sourceRange,
+                        preferredValue,
+                      );
+                    },
+                  )),
+              });
+            });
+        }
 
-          context.report({
+        if (patternValues && pragmaPolicy) {
+          checkPragmas(
+            headerComments,
+            patternValues,
+            commentBlockMatcher.sectionCounts,
+          );
+        }
+
+        const misplacedDirectives = getMisplacedDirectives(
+          context,
+          node,
+          headerComments,
+          headerFormatConfigOptions,
+        );
+        if (misplacedDirectives.length > 0) {
+          const sourceText = context.sourceCode.getText();
+          const lastHeaderComment = headerComments[headerComments.length - 1];
+          const tokenAfterHeader = context.sourceCode.getTokenAfter(
+            lastHeaderComment,
+            { includeComments: true },
+          );
+          const headerText = sourceText.slice(
+            headerComments[0].range[0],
+            lastHeaderComment.range[1],
+          );
+          const removedRange = [
+            headerComments[0].range[0],
+            tokenAfterHeader ? tokenAfterHeader.range[0] : sourceText.length,
+          ];
+          const placeBefore =
+            headerFormatConfigOptions.headerPlacement === "beforeDirectives";
+          report({
             loc: {
               start: headerComments[0].loc.start,
-              end: headerComments[headerComments.length - 1].loc.end,
+              end: lastHeaderComment.loc.end,
+            },
+            messageId: "headerPlacement",
+            data: { placement: placeBefore ? "before" : "after" },
+            fix: function (fixer) {
+              return [
+                fixer.removeRange(removedRange),
+                placeBefore
+                  ? fixer.insertTextBefore(
+                      misplacedDirectives[0],
+                      sourceText.slice(removedRange[0], removedRange[1]),
+                    )
+                  : fixer.insertTextAfter(
+                      misplacedDirectives[misplacedDirectives.length - 1],
+                      `${sourceEol}${headerText}`,
+                    ),
+              ];
             },
-            messageId: "headerContentMismatch",
-            fix: getFixerFn(function (fixer) {
-              const patternValuesWithDefaults = {
-                ...commentBlockMatcher.patternValues,
-              };
-              Object.keys(patternValuesWithDefaults).forEach((patternName) => {
-                patternValuesWithDefaults[patternName] =
-                  patternValuesWithDefaults[patternName].map(
-                    (patternValue) =>
-                      patternValue ??
-                      headerFormatConfigOptions.patterns[patternName]
-                        .defaultValue,
-                  );
-              });
-              return fixer.replaceTextRange(
-                [
-                  headerComments[0].range[0],
-                  headerComments[headerComments.length - 1].range[1],
-                ],
-                headerFormatter.format(style, {}),
-              );
-            }),
           });
         }
 
@@ -507,6 +1894,7 @@ module.exports = {
           context,
           node,
           headerComments,
+          headerFormatConfigOptions,
         );
 
         // Report newlines issue only if there's a valid AST token after the header block
@@ -520,7 +1908,7 @@ module.exports = {
               firstContentNode.range[0],
             ) !== sourceEol.repeat(headerFormatConfigOptions.trailingNewlines)
         ) {
-          context.report({
+          report({
             loc: {
               start: headerComments[headerComments.length - 1].loc.end,
               end: firstContentNode.loc.start,
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Helper functions for optional and repeatable sections in header templates.
+ * @author Rob Misasi
+ */
+"use strict";
+
+/**
+ * Matches the line opening a section, e.g. `{{#optional}}` or
+ * `{{#repeat min=1 max=3}}`.
+ */
+const SECTION_START_REGEX =
+  /^\s*\{\{#(optional|repeat)((?:\s+(?:min|max)=\d+)*)\s*\}\}\s*$/;
+
+/**
+ * Matches the line closing a section, e.g. `{{/optional}}`.
+ */
+const SECTION_END_REGEX = /^\s*\{\{\/(optional|repeat)\s*\}\}\s*$/;
+
+/**
+ * @typedef TemplateSection
+ * @type {object}
+ * @property {string[]} lines The lines of the section.
+ * @property {number} min The minimum number of times the section occurs.
+ * @property {number} max The maximum number of times the section occurs. `Infinity` when unbounded.
+ *
+ * @typedef {string | TemplateSection} TemplateItem A template line or section.
+ */
+
+/**
+ * Checks if {@link line} opens or closes a section.
+ *
+ * @param {string} line The template line.
+ * @returns {boolean}
+ */
+function isSectionMarker(line) {
+  return SECTION_START_REGEX.test(line) || SECTION_END_REGEX.test(line);
+}
+
+/**
+ * Parses the sections in {@link lines}. Sections cannot be nested; markers
+ * that do not open or close a section are kept as template lines.
+ *
+ * @param {string[]} lines The template lines.
+ * @returns {TemplateItem[]} The template lines and sections, in order.
+ */
+function parseTemplateSections(lines) {
+  const items = [];
+  let openSection;
+  lines.forEach((line) => {
+    const startMatch = SECTION_START_REGEX.exec(line);
+    const endMatch = SECTION_END_REGEX.exec(line);
+    if (!openSection && startMatch) {
+      const [, kind, attributes] = startMatch;
+      const counts = Object.fromEntries(
+        [...attributes.matchAll(/(min|max)=(\d+)/g)].map(([, key, value]) => [
+          key,
+          Number(value),
+        ]),
+      );
+      openSection =
+        kind === "optional"
+          ? { kind, startLine: line, lines: [], min: 0, max: 1 }
+          : {
+              kind,
+              startLine: line,
+              lines: [],
+              min: counts.min ?? 1,
+              max: counts.max ?? Infinity,
+            };
+    } else if (openSection && endMatch && endMatch[1] === openSection.kind) {
+      const { lines: sectionLines, min, max } = openSection;
+      items.push({ lines: sectionLines, min, max: Math.max(min, max) });
+      openSection = undefined;
+    } else if (openSection) {
+      openSection.lines.push(line);
+    } else {
+      items.push(line);
+    }
+  });
+
+  if (openSection) {
+    items.push(openSection.startLine, ...openSection.lines);
+  }
+
+  return items;
+}
+
+/**
+ * Expands {@link items} into template lines, repeating each section the given
+ * number of times.
+ *
+ * @param {TemplateItem[]} items The template lines and sections.
+ * @param {number[]} [sectionCounts] The number of times each section occurs. Defaults to each section's minimum.
+ * @returns {string[]} The template lines.
+ */
+function expandTemplateSections(items, sectionCounts = []) {
+  let sectionIndex = 0;
+  return items.flatMap((item) => {
+    if (typeof item === "string") {
+      return [item];
+    }
+
+    const count = sectionCounts[sectionIndex] ?? item.min;
+    sectionIndex += 1;
+    return new Array(count).fill(item.lines).flat();
+  });
+}
+
+module.exports = {
+  expandTemplateSections,
+  isSectionMarker,
+  parseTemplateSections,
+};
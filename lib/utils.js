@@ -4,6 +4,7 @@
  */
 "use strict";
 
+const fs = require("fs");
 const os = require("os");
 
 /**
@@ -56,6 +57,64 @@ function normalizeComments(comments) {
   });
 }
 
+/**
+ * Detects the style of an existing comment.
+ *
+ * @param {import('@types/estree').Comment} comment The comment.
+ * @returns {"line" | "jsdoc" | "block" | "legal" | "banner" | "html"} The comment's style.
+ */
+function getCommentStyle(comment) {
+  if (comment.type === "Line") {
+    return "line";
+  }
+
+  if (comment.type === "HTMLComment") {
+    return "html";
+  }
+
+  if (comment.value.startsWith("!")) {
+    return "legal";
+  }
+
+  // Banners open with a border of repeated characters, e.g. `/*****`.
+  if (/^([^\w\s])\1{2,}\r?\n/.test(comment.value)) {
+    return "banner";
+  }
+
+  return comment.value.startsWith("*") ? "jsdoc" : "block";
+}
+
+/**
+ * Checks if {@link comment} is a legal comment, which minifiers such as esbuild
+ * and terser keep: a `/*!` comment, or a block comment containing `@license`
+ * or `@preserve`.
+ *
+ * @param {import('@types/estree').Comment} comment The comment.
+ * @returns {boolean}
+ */
+function isLegalComment(comment) {
+  return (
+    comment.type === "Block" &&
+    (comment.value.startsWith("!") ||
+      /@(?:license|preserve)\b/.test(comment.value))
+  );
+}
+
+/**
+ * Gets the modification time of a file, used to tell when cached contents of
+ * the file are outdated.
+ *
+ * @param {string} filename The path of the file.
+ * @returns {number} The modification time in milliseconds, or 0 if the file does not exist.
+ */
+function getModifiedTime(filename) {
+  try {
+    return fs.statSync(filename).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
 /**
  * Escapes special regex characters in the given string.
  *
@@ -74,6 +133,25 @@ function getVariableIdentifier(variableName) {
   return `{${variableName}}`;
 }
 
+/**
+ * Matches a template line consisting of a free-text slot, e.g.
+ * `(description...)`.
+ */
+const FREE_TEXT_SLOT_REGEX = /^\s*\((\w+)\.\.\.\)\s*$/;
+
+/**
+ * Gets the name of the free-text slot {@link line} consists of. Slot values
+ * are keyed by this name, e.g. `description...`, to keep them apart from
+ * pattern values.
+ *
+ * @param {string} line The template line.
+ * @returns {string | undefined} The slot's name, or undefined if the line is not a free-text slot.
+ */
+function getFreeTextSlotName(line) {
+  const slotMatch = FREE_TEXT_SLOT_REGEX.exec(line);
+  return slotMatch ? `${slotMatch[1]}...` : undefined;
+}
+
 /**
  * Gets the set of patterns and their locations from {@link string}.
  *
@@ -83,19 +161,60 @@ function getVariableIdentifier(variableName) {
  */
 function getPatternLocations(string, patterns) {
   const patternRegex = /\((\w+)\)/g;
-  const matches = [...string.matchAll(patternRegex)].filter(
-    (matchResult) => !!patterns[matchResult[1]],
+  const matches = [...string.matchAll(patternRegex)].filter((matchResult) =>
+    Object.prototype.hasOwnProperty.call(patterns, matchResult[1]),
   );
   return matches;
 }
 
+/**
+ * Splits each line of {@link lines} that is longer than {@link width} into
+ * lines no longer than {@link width}, where possible. Lines that fit are kept
+ * as they are, so line breaks in the content, e.g. between pragma expressions,
+ * are never removed. Words longer than {@link width} are placed on their own
+ * line.
+ *
+ * @param {string[]} lines The lines to wrap.
+ * @param {number} width The maximum number of characters per line.
+ * @param {(text: string) => number} [getLength] Gets the number of characters text takes up once formatted.
+ * @returns {string[]} The wrapped lines.
+ */
+function wrapLines(lines, width, getLength = (text) => text.length) {
+  return lines.flatMap((line) => {
+    if (getLength(line) <= width) {
+      return [line];
+    }
+
+    const wrappedLines = [];
+    let currentLine = "";
+    line
+      .trim()
+      .split(/\s+/)
+      .forEach((word) => {
+        if (currentLine && getLength(`${currentLine} ${word}`) > width) {
+          wrappedLines.push(currentLine);
+          currentLine = word;
+        } else {
+          currentLine = currentLine ? `${currentLine} ${word}` : word;
+        }
+      });
+    wrappedLines.push(currentLine);
+    return wrappedLines;
+  });
+}
+
 module.exports = {
   appendNewlines,
   escapeRegex,
+  getCommentStyle,
   getEolCharacter,
+  getFreeTextSlotName,
+  getModifiedTime,
   getPatternIdentifier,
   getVariableIdentifier,
   getPatternLocations,
+  isLegalComment,
   normalizeComments,
   normalizeEol,
+  wrapLines,
 };
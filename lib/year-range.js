@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Helper functions for parsing and maintaining copyright year ranges.
+ * @author Rob Misasi
+ */
+"use strict";
+
+/**
+ * Regex source matching a single year (e.g. `2024`) or a year range (e.g.
+ * `2019-2024`).
+ */
+const YEAR_RANGE_PATTERN = "\\d{4}(?:-\\d{4})?";
+
+/**
+ * Parses a year or year range.
+ *
+ * @param {string} str The year or year range, e.g. `2019-2024`.
+ * @returns {{ start: number; end: number } | null} The parsed range, or null if {@link str} is not a year range.
+ */
+function parseYearRange(str) {
+  const match = /^(\d{4})(?:-(\d{4}))?$/.exec(str);
+  if (!match) {
+    return null;
+  }
+
+  const start = Number(match[1]);
+  const end = match[2] === undefined ? start : Number(match[2]);
+  return { start, end };
+}
+
+/**
+ * Formats a year range, collapsing ranges that start and end in the same year.
+ *
+ * @param {{ start: number; end: number }} range The range to format.
+ * @returns {string} The formatted range.
+ */
+function formatYearRange({ start, end }) {
+  return start === end ? `${start}` : `${start}-${end}`;
+}
+
+/**
+ * Updates a year range to end in {@link year}, keeping the original start year.
+ * Reversed ranges are reordered first, and years after {@link year} are
+ * replaced by it, so the result is always a valid range.
+ *
+ * @param {string} str The year or year range to update.
+ * @param {number} year The year the range should end in.
+ * @returns {string} The updated range, or {@link str} if it cannot be parsed.
+ */
+function bumpYearRange(str, year) {
+  const range = parseYearRange(str);
+  if (!range) {
+    return str;
+  }
+
+  return formatYearRange({
+    start: Math.min(range.start, range.end, year),
+    end: year,
+  });
+}
+
+module.exports = {
+  YEAR_RANGE_PATTERN,
+  bumpYearRange,
+  formatYearRange,
+  parseYearRange,
+};
@@ -0,0 +1,88 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  getCodeOwner,
+  matchesCodeOwnersPattern,
+  parseCodeOwners,
+} = require("../../lib/codeowners");
+
+const monorepo = path.join(__dirname, "../fixtures/monorepo");
+
+describe("codeowners", () => {
+  it("Parses rules, skipping blank lines and comments", () => {
+    assert.deepEqual(
+      parseCodeOwners(
+        "# Comment\n\n*.js @acme/js # inline comment\r\n/docs/ @jane @john\n/generated/\n",
+      ),
+      [
+        { pattern: "*.js", owners: ["@acme/js"] },
+        { pattern: "/docs/", owners: ["@jane", "@john"] },
+        { pattern: "/generated/", owners: [] },
+      ],
+    );
+  });
+
+  it("Matches patterns like GitHub", () => {
+    assert(matchesCodeOwnersPattern("*", "src/index.js"));
+    assert(matchesCodeOwnersPattern("*.js", "src/index.js"));
+    assert(matchesCodeOwnersPattern("apps/", "src/apps/index.js"));
+    assert(matchesCodeOwnersPattern("/src/", "src/api/index.js"));
+    assert(!matchesCodeOwnersPattern("/src/", "lib/src/index.js"));
+    assert(matchesCodeOwnersPattern("src/api", "src/api/index.js"));
+    assert(!matchesCodeOwnersPattern("src/api", "lib/src/api/index.js"));
+    assert(matchesCodeOwnersPattern("docs/*", "docs/readme.md"));
+    assert(!matchesCodeOwnersPattern("docs/*", "docs/guides/readme.md"));
+    assert(matchesCodeOwnersPattern("**/logs", "build/logs/today.log"));
+  });
+
+  it("Resolves owners from the last matching rule", () => {
+    assert.equal(
+      getCodeOwner("packages/core/src/index.js", monorepo),
+      "@acme/core-team",
+    );
+    assert.equal(
+      getCodeOwner("packages/utils/index.js", monorepo),
+      "@acme/utils-team @jane",
+    );
+    assert.equal(
+      getCodeOwner("packages/core/README.md", monorepo),
+      "@acme/docs-team",
+    );
+    assert.equal(
+      getCodeOwner("scripts/build.js", monorepo),
+      "@acme/maintainers",
+    );
+  });
+
+  it("Resolves no owner for files without one", () => {
+    assert.equal(
+      getCodeOwner("packages/core/generated/schema.js", monorepo),
+      undefined,
+    );
+    assert.equal(
+      getCodeOwner("src/index.js", path.join(monorepo, "packages")),
+      undefined,
+    );
+  });
+
+  it("Reads the CODEOWNERS file again after it is modified", () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "codeowners-"));
+    const codeOwnersPath = path.join(root, "CODEOWNERS");
+    try {
+      fs.writeFileSync(codeOwnersPath, "* @old\n");
+      assert.equal(getCodeOwner("index.js", root), "@old");
+
+      fs.writeFileSync(codeOwnersPath, "* @new\n");
+      const modifiedTime = new Date(Date.now() + 1000);
+      fs.utimesSync(codeOwnersPath, modifiedTime, modifiedTime);
+      assert.equal(getCodeOwner("index.js", root), "@new");
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
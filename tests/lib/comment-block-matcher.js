@@ -203,6 +203,428 @@ describe("CommentBlockMatcher", () => {
     assert(!result);
   });
 
+  it("Captures pattern values and their ranges", () => {
+    // Arrange
+    const matcher = new CommentBlockMatcher({
+      blockPrefix: "",
+      blockSuffix: "",
+      linePrefix: "",
+      expectedLines: ["Copyright (year) (holder)", "Since (year)"],
+      patterns: {
+        year: { pattern: "(\\d{2})\\d{2}" },
+        holder: { pattern: "\\w+" },
+      },
+    });
+
+    // Act
+    const result = matcher.match([
+      { value: "Copyright 2024 Acme\nSince 1999" },
+    ]);
+
+    // Assert
+    assert.deepEqual(result, { year: ["2024", "1999"], holder: ["Acme"] });
+    assert.deepEqual(matcher.patternValues, result);
+    assert.deepEqual(matcher.patternRanges, [
+      { name: "year", range: [10, 14] },
+      { name: "holder", range: [15, 19] },
+      { name: "year", range: [26, 30] },
+    ]);
+  });
+
+  it("Extracts pattern values from a mismatched header", () => {
+    // Arrange
+    const matcher = new CommentBlockMatcher({
+      blockPrefix: "*\n",
+      blockSuffix: "\n ",
+      linePrefix: " * ",
+      expectedLines: [
+        "Copyright (year) (holder). All rights reserved.",
+        "Author: (author)",
+        "(version)",
+        "Released (year)",
+      ],
+      patterns: {
+        year: { pattern: "\\d{4}" },
+        holder: { pattern: "\\w+" },
+        author: { pattern: "[\\w ]+" },
+        version: { pattern: "v\\d+" },
+      },
+    });
+    const tokens = [
+      {
+        value:
+          "*\n * Copyright 2011 Acme. Some rights reserved.\n * Author: Jane Doe\n * v2\n * Released 20XX\n ",
+      },
+    ];
+
+    // Act
+    const result = matcher.extractPatternValues(tokens);
+
+    // Assert
+    assert.equal(matcher.match(tokens), null);
+    assert.deepEqual(result, {
+      year: ["2011", undefined],
+      holder: ["Acme"],
+      author: ["Jane Doe"],
+      version: ["v2"],
+    });
+  });
+
+  it("Locates the first mismatched line", () => {
+    // Arrange
+    const matcher = new CommentBlockMatcher({
+      blockPrefix: "*\n",
+      blockSuffix: "\n ",
+      linePrefix: " * ",
+      expectedLines: ["Copyright (year)", "Line two"],
+      patterns: { year: { pattern: "\\d{4}" } },
+    });
+
+    // Act
+    const contentMismatch = matcher.getMismatch([
+      { value: "*\n * Copyright 2024\n * Line 2\n " },
+    ]);
+    const patternMismatch = matcher.getMismatch([
+      { value: "*\n * Copyright 20XX\n * Line two\n " },
+    ]);
+    const missingLine = matcher.getMismatch([
+      { value: "*\n * Copyright 2024\n " },
+    ]);
+    const extraLine = matcher.getMismatch([
+      { value: "*\n * Copyright 2024\n * Extra\n * Line two\n " },
+    ]);
+
+    // Assert
+    assert.deepEqual(contentMismatch, {
+      type: "content",
+      line: 2,
+      range: [20, 29],
+      expected: "Line two",
+      actual: "Line 2",
+    });
+    assert.equal(patternMismatch.type, "pattern");
+    assert.equal(patternMismatch.line, 1);
+    assert.equal(patternMismatch.expected, "Copyright (year)");
+    assert.equal(missingLine.type, "missing");
+    assert.equal(missingLine.expected, "Line two");
+    assert.equal(extraLine.type, "extra");
+    assert.equal(extraLine.actual, "Extra");
+  });
+
+  it("Matches additional content according to the match mode", () => {
+    // Arrange
+    const config = {
+      blockPrefix: "*\n",
+      blockSuffix: "\n ",
+      linePrefix: " * ",
+      style: "jsdoc",
+      expectedLines: ["License"],
+    };
+    const trailingContent = [{ value: "*\n * License\n *\n * Description\n " }];
+    const leadingContent = [{ value: "*\n * Description\n *\n * License\n " }];
+    const pragmas = [{ value: "*\n * License\n *\n * @jsx h\n " }];
+
+    // Act
+    const exact = new CommentBlockMatcher({ ...config, matchMode: "exact" });
+    const prefix = new CommentBlockMatcher({ ...config, matchMode: "prefix" });
+    const contains = new CommentBlockMatcher({
+      ...config,
+      matchMode: "contains",
+    });
+
+    // Assert
+    assert.equal(exact.match(trailingContent), null);
+    assert.ok(exact.match(pragmas));
+    assert.ok(prefix.match(trailingContent));
+    assert.equal(prefix.match(leadingContent), null);
+    assert.ok(contains.match(leadingContent));
+  });
+
+  it("Gets content in addition to the expected lines", () => {
+    // Arrange
+    const matcher = new CommentBlockMatcher({
+      blockPrefix: "*\n",
+      blockSuffix: "\n ",
+      linePrefix: " * ",
+      style: "jsdoc",
+      expectedLines: ["Copyright (year) Acme"],
+      patterns: { year: { pattern: "\\d{4}" } },
+    });
+    const comments = [
+      {
+        value:
+          "*\n * Copyright 2020 Acme\n *\n * Description\n *   Indented\n ",
+      },
+    ];
+
+    // Act
+    const additionalLines = matcher.getAdditionalLines(comments);
+
+    // Assert
+    assert.deepEqual(additionalLines, ["Description", "  Indented"]);
+  });
+
+  it("Matches reflowed content when normalizing whitespace", () => {
+    // Arrange
+    const matcher = new CommentBlockMatcher({
+      blockPrefix: "*\n",
+      blockSuffix: "\n ",
+      linePrefix: " * ",
+      style: "jsdoc",
+      expectedLines: [
+        "Copyright (c) (year) Acme. Licensed under the",
+        "Apache License.",
+        "",
+        "See LICENSE.",
+      ],
+      patterns: { year: { pattern: "\\d{4}" } },
+      normalize: { ignoreCase: true, equivalents: [["(c)", "©"]] },
+    });
+    const comments = [
+      {
+        value:
+          "*\n * copyright ©  2021\n * Acme. Licensed under the Apache\n *   License.\n *\n * See LICENSE.\n ",
+      },
+    ];
+    const unwrappedParagraphs = [
+      {
+        value:
+          "*\n * Copyright (c) 2021 Acme. Licensed under the Apache License.\n * See LICENSE.\n ",
+      },
+    ];
+
+    // Act
+    const result = matcher.match(comments);
+    const patternRanges = matcher.patternRanges;
+    const unwrappedResult = matcher.match(unwrappedParagraphs);
+
+    // Assert
+    assert.deepEqual(result, { year: ["2021"] });
+    assert.deepEqual(patternRanges, [{ name: "year", range: [18, 22] }]);
+    assert.equal(unwrappedResult, null);
+  });
+
+  it("Matches banner lines regardless of their padding", () => {
+    // Arrange
+    const matcher = new CommentBlockMatcher({
+      blockPrefix: "**********\n",
+      blockSuffix: "\n *********",
+      linePrefix: " * ",
+      lineSuffix: " *",
+      style: "banner",
+      expectedLines: ["Acme (year)", "", "MIT"],
+      patterns: { year: { pattern: "\\d{4}" } },
+    });
+    const leftAligned = [
+      {
+        value:
+          "**********\n * Acme 2024 *\n *         *\n * MIT     *\n *********",
+      },
+    ];
+    const centered = [
+      {
+        value:
+          "**********\n * Acme 2024 *\n *         *\n *   MIT   *\n *********",
+      },
+    ];
+    const missingSuffix = [
+      {
+        value: "**********\n * Acme 2024\n *\n * MIT\n *********",
+      },
+    ];
+
+    // Act
+    const leftAlignedResult = matcher.match(leftAligned);
+    const centeredResult = matcher.match(centered);
+    const missingSuffixResult = matcher.match(missingSuffix);
+
+    // Assert
+    assert.deepEqual(leftAlignedResult, { year: ["2024"] });
+    assert.deepEqual(centeredResult, { year: ["2024"] });
+    assert.equal(missingSuffixResult, null);
+    assert.equal(matcher.getMismatch(missingSuffix)?.line, 1);
+  });
+
+  it("Matches optional and repeated sections", () => {
+    // Arrange
+    const matcher = new CommentBlockMatcher({
+      blockPrefix: "*\n",
+      blockSuffix: "\n ",
+      linePrefix: " * ",
+      style: "jsdoc",
+      matchMode: "exact",
+      expectedLines: [
+        "{{#repeat min=1 max=2}}",
+        "Copyright (year) (holder)",
+        "{{/repeat}}",
+        "{{#optional}}",
+        "",
+        "Portions derived from Foo.",
+        "{{/optional}}",
+      ],
+      patterns: {
+        year: { pattern: "\\d{4}" },
+        holder: { pattern: "[\\w ]+?" },
+      },
+    });
+    const twoHolders = [
+      {
+        value:
+          "*\n * Copyright 2020 Acme\n * Copyright 2021 Initech\n *\n * Portions derived from Foo.\n ",
+      },
+    ];
+    const oneHolder = [{ value: "*\n * Copyright 2020 Acme\n " }];
+    const threeHolders = [
+      {
+        value:
+          "*\n * Copyright 2020 Acme\n * Copyright 2021 Initech\n * Copyright 2022 Hooli\n ",
+      },
+    ];
+
+    // Act
+    const twoHoldersResult = matcher.match(twoHolders);
+    const twoHoldersCounts = matcher.sectionCounts;
+    const oneHolderResult = matcher.match(oneHolder);
+    const oneHolderCounts = matcher.sectionCounts;
+    const threeHoldersResult = matcher.match(threeHolders);
+
+    // Assert
+    assert.deepEqual(twoHoldersResult, {
+      year: ["2020", "2021"],
+      holder: ["Acme", "Initech"],
+    });
+    assert.deepEqual(twoHoldersCounts, [2, 1]);
+    assert.deepEqual(oneHolderResult, { year: ["2020"], holder: ["Acme"] });
+    assert.deepEqual(oneHolderCounts, [1, 0]);
+    assert.equal(threeHoldersResult, null);
+    assert.deepEqual(matcher.extractPatternValues(threeHolders), {
+      year: ["2020", "2021"],
+      holder: ["Acme", "Initech"],
+    });
+  });
+
+  it("Captures the text of free-text slots", () => {
+    // Arrange
+    const matcher = new CommentBlockMatcher({
+      blockPrefix: "*\n",
+      blockSuffix: "\n ",
+      linePrefix: " * ",
+      style: "jsdoc",
+      matchMode: "exact",
+      expectedLines: ["(description...)", "", "Licensed under MIT."],
+    });
+    const comments = [
+      {
+        value:
+          "*\n * Parses things.\n *   Indented line.\n *\n * Licensed under MIT.\n ",
+      },
+    ];
+    const mismatched = [
+      {
+        value:
+          "*\n * Parses things.\n *   Indented line.\n *\n * Licensed under GPL.\n ",
+      },
+    ];
+
+    // Act
+    const result = matcher.match(comments);
+    const extractedValues = matcher.extractPatternValues(mismatched);
+    const mismatch = matcher.getMismatch(mismatched);
+
+    // Assert
+    assert.deepEqual(result, {
+      "description...": ["Parses things.\n  Indented line."],
+    });
+    assert.deepEqual(extractedValues, {
+      "description...": ["Parses things.\n  Indented line."],
+    });
+    assert.equal(mismatch.line, 4);
+  });
+
+  it("Reports captured values failing the checks of their pattern type", () => {
+    // Arrange
+    const matcher = new CommentBlockMatcher({
+      blockPrefix: "*\n",
+      blockSuffix: "\n ",
+      linePrefix: " * ",
+      style: "jsdoc",
+      expectedLines: ["Released (date) as (version)."],
+      patterns: {
+        date: { pattern: "\\d{4}-\\d{2}-\\d{2}", type: "date" },
+        version: { pattern: "[\\d.]+" },
+      },
+    });
+    const comments = [{ value: "*\n * Released 2023-02-30 as 1.02.\n " }];
+
+    // Act
+    const result = matcher.match(comments);
+    const invalidValues = matcher.getInvalidPatternValues(comments);
+
+    // Assert
+    assert.deepEqual(result, { date: ["2023-02-30"], version: ["1.02"] });
+    assert.deepEqual(invalidValues, [
+      {
+        name: "date",
+        value: "2023-02-30",
+        range: [14, 24],
+        problem: "is not a valid date",
+      },
+    ]);
+  });
+
+  it("Reports deprecated and disallowed values of enumerated patterns", () => {
+    // Arrange
+    const matcher = new CommentBlockMatcher({
+      blockPrefix: "*\n",
+      blockSuffix: "\n ",
+      linePrefix: " * ",
+      style: "jsdoc",
+      expectedLines: ["Copyright (holder)."],
+      patterns: {
+        holder: {
+          pattern: "[\\w ]+",
+          enum: ["Acme Inc", "Acme GmbH"],
+          deprecated: { "Acme Corp": "Acme Inc" },
+        },
+      },
+    });
+    const deprecatedComments = [{ value: "*\n * Copyright Acme Corp.\n " }];
+    const disallowedComments = [{ value: "*\n * Copyright Initech.\n " }];
+
+    // Act
+    matcher.match(deprecatedComments);
+    const deprecatedValues =
+      matcher.getInvalidPatternValues(deprecatedComments);
+    matcher.match(disallowedComments);
+    const disallowedValues =
+      matcher.getInvalidPatternValues(disallowedComments);
+    const preferredValues = matcher.getPreferredPatternValues({
+      holder: ["Acme Corp", "Initech", "Acme GmbH", undefined],
+    });
+
+    // Assert
+    assert.deepEqual(deprecatedValues, [
+      {
+        name: "holder",
+        value: "Acme Corp",
+        range: [15, 24],
+        problem: 'is deprecated in favor of "Acme Inc"',
+        replacement: "Acme Inc",
+      },
+    ]);
+    assert.deepEqual(disallowedValues, [
+      {
+        name: "holder",
+        value: "Initech",
+        range: [15, 22],
+        problem: "is not one of the allowed values",
+      },
+    ]);
+    assert.deepEqual(preferredValues, {
+      holder: ["Acme Inc", undefined, "Acme GmbH", undefined],
+    });
+  });
+
   it("Escapes input strings correctly", () => {
     // Arrange
     const expectedContent = `.`;
@@ -48,6 +48,100 @@ describe("CommentFormatter", () => {
     assert.equal(actualString, expectedString);
   });
 
+  it("Formats default plain block and legal comments correctly", () => {
+    // Arrange
+    const lines = ["Line1", "Line2"];
+    const formatter = new CommentFormatter(lines, { eol: "\n" });
+
+    // Act
+    const blockString = formatter.format("block");
+    const legalString = formatter.format("legal");
+
+    // Assert
+    assert.equal(blockString, "/*\n * Line1\n * Line2\n */");
+    assert.equal(legalString, "/*!\n * Line1\n * Line2\n */");
+  });
+
+  it("Formats banner comments correctly", () => {
+    // Arrange
+    const lines = ["Title", "(author)"];
+    const formatter = new CommentFormatter(lines, {
+      eol: "\n",
+      width: 20,
+      align: "center",
+      defaultPatternValues: { author: ["Unknown"] },
+    });
+
+    // Act
+    const bannerString = formatter.format("banner", { author: ["Jane"] });
+
+    // Assert
+    assert.equal(
+      bannerString,
+      [
+        "/*******************",
+        " *      Title      *",
+        " *      Jane       *",
+        " ******************/",
+      ].join("\n"),
+    );
+  });
+
+  it("Formats optional and repeated sections", () => {
+    // Arrange
+    const lines = [
+      "{{#repeat}}",
+      "Copyright (holder)",
+      "{{/repeat}}",
+      "{{#optional}}",
+      "Portions derived from Foo.",
+      "{{/optional}}",
+    ];
+    const formatter = new CommentFormatter(lines, {
+      eol: "\n",
+      defaultPatternValues: { holder: "Acme" },
+    });
+
+    // Act
+    const defaultString = formatter.format("jsdoc");
+    const repeatedString = formatter.format(
+      "jsdoc",
+      { holder: ["Acme", "Initech"] },
+      undefined,
+      [2, 1],
+    );
+
+    // Assert
+    assert.equal(defaultString, "/**\n * Copyright Acme\n */");
+    assert.equal(
+      repeatedString,
+      "/**\n * Copyright Acme\n * Copyright Initech\n * Portions derived from Foo.\n */",
+    );
+  });
+
+  it("Fills free-text slots verbatim", () => {
+    // Arrange
+    const lines = ["(description...)", "", "Copyright (year) Acme"];
+    const formatter = new CommentFormatter(lines, {
+      eol: "\n",
+      defaultPatternValues: { year: "2024" },
+    });
+
+    // Act
+    const emptyString = formatter.format("jsdoc");
+    const filledString = formatter.format("jsdoc", {
+      "description...": ["Uses (year) data.\n  Indented line."],
+      year: ["2019"],
+    });
+
+    // Assert
+    assert.equal(emptyString, "/**\n *\n *\n * Copyright 2024 Acme\n */");
+    assert.equal(
+      filledString,
+      "/**\n * Uses (year) data.\n *   Indented line.\n *\n * Copyright 2019 Acme\n */",
+    );
+  });
+
   it("Formats a block suffix correctly", () => {
     // Arrange
     const lines = ["Line1", "Line2"];
@@ -176,4 +270,119 @@ describe("CommentFormatter", () => {
     // Assert
     assert.equal(result, expectedLines);
   });
+
+  it("Formats placeholders for patterns without values", () => {
+    // Arrange
+    const lines = ["Copyright (year) (holder)"];
+    const formatter = new CommentFormatter(lines, {
+      eol: "\n",
+      defaultPatternValues: { year: undefined, holder: "Acme" },
+    });
+
+    // Act
+    const result = formatter.format("line", {});
+
+    // Assert
+    assert.equal(result, "// Copyright (year) Acme");
+  });
+
+  it("Extracts multi-line pragma expressions", () => {
+    // Arrange
+    const formatter = new CommentFormatter(["This is a header"], {
+      eol: "\n",
+    });
+    const comments = [
+      {
+        type: "Block",
+        value:
+          "*\n * This is an old header\n *\n * @jsxImportSource preact\n * @license MIT\n *   See LICENSE for details.\n *\n * Trailing text\n ",
+      },
+    ];
+
+    // Act
+    const pragmas = formatter.extractPragmas(comments);
+
+    // Assert
+    assert.deepEqual(pragmas, [
+      ["@jsxImportSource preact"],
+      ["@license MIT", "See LICENSE for details."],
+    ]);
+  });
+
+  it("Extracts pragma expressions from line comments", () => {
+    // Arrange
+    const formatter = new CommentFormatter(["This is a header"], {
+      eol: "\n",
+    });
+    const comments = [
+      { type: "Line", value: " This is an old header" },
+      { type: "Line", value: "" },
+      { type: "Line", value: " @jest-environment node" },
+    ];
+
+    // Act
+    const pragmas = formatter.extractPragmas(comments);
+
+    // Assert
+    assert.deepEqual(pragmas, [["@jest-environment node"]]);
+  });
+
+  it("Skips pragma expressions whose tag is part of the template", () => {
+    // Arrange
+    const formatter = new CommentFormatter(["@file src/new-name.js"], {
+      eol: "\n",
+    });
+    const comments = [
+      {
+        type: "Block",
+        value: "*\n * @file src/old-name.js\n * @jsx h\n ",
+      },
+    ];
+
+    // Act
+    const pragmas = formatter.extractPragmas(comments);
+
+    // Assert
+    assert.deepEqual(pragmas, [["@jsx h"]]);
+  });
+
+  it("Formats pragma expressions in every style", () => {
+    // Arrange
+    const formatter = new CommentFormatter(["Header"], { eol: "\n" });
+    const pragmas = [["@license MIT", "See LICENSE."], ["@jsx h"]];
+
+    // Act
+    const jsdoc = formatter.format("jsdoc", undefined, pragmas);
+    const line = formatter.format("line", undefined, pragmas);
+    const html = formatter.format("html", undefined, pragmas);
+
+    // Assert
+    assert.equal(
+      jsdoc,
+      "/**\n * Header\n *\n * @license MIT\n * See LICENSE.\n * @jsx h\n */",
+    );
+    assert.equal(
+      line,
+      "// Header\n//\n// @license MIT\n// See LICENSE.\n// @jsx h",
+    );
+    assert.equal(
+      html,
+      "<!--\n  Header\n\n  @license MIT\n  See LICENSE.\n  @jsx h\n-->",
+    );
+  });
+
+  it("Places pragma expressions before the content", () => {
+    // Arrange
+    const formatter = new CommentFormatter(["Header"], {
+      eol: "\n",
+      pragmaPlacement: "before",
+      pragmaBlankLines: 2,
+    });
+
+    // Act
+    const result = formatter.format("line", undefined, [["@jsx h"]]);
+
+    // Assert
+    assert.equal(result, "// @jsx h\n//\n//\n// Header");
+  });
 });
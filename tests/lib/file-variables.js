@@ -0,0 +1,45 @@
+"use strict";
+
+const assert = require("assert");
+const path = require("path");
+
+const { getFileVariables, getModuleName } = require("../../lib/file-variables");
+
+describe("file-variables", () => {
+  it("Derives variables from the path relative to the root", () => {
+    const root = path.resolve("project");
+    assert.deepEqual(
+      getFileVariables(path.join(root, "src", "api", "client.ts"), root),
+      {
+        "file.path": "src/api/client.ts",
+        "file.name": "client.ts",
+        "file.ext": ".ts",
+        "file.dir": "src/api",
+        "file.module": "src/api/client",
+      },
+    );
+  });
+
+  it("Uses . as the directory of files in the root", () => {
+    const root = path.resolve("project");
+    const variables = getFileVariables(path.join(root, "index.js"), root);
+    assert.equal(variables["file.dir"], ".");
+    assert.equal(variables["file.module"], "index");
+  });
+
+  it("Strips the first matching prefix from module names", () => {
+    const config = { stripPrefixes: ["src/", "lib"] };
+    assert.equal(getModuleName("src/api/client.js", config), "api/client");
+    assert.equal(getModuleName("lib/utils.js", config), "utils");
+    assert.equal(getModuleName("library/utils.js", config), "library/utils");
+  });
+
+  it("Strips trailing index from module names unless disabled", () => {
+    assert.equal(getModuleName("src/api/index.js", {}), "src/api");
+    assert.equal(
+      getModuleName("src/api/index.js", { stripIndex: false }),
+      "src/api/index",
+    );
+    assert.equal(getModuleName("src/reindex.js", {}), "src/reindex");
+  });
+});
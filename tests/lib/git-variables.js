@@ -0,0 +1,98 @@
+"use strict";
+
+const assert = require("assert");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { getGitVariables } = require("../../lib/git-variables");
+
+const currentYear = `${new Date().getFullYear()}`;
+
+/**
+ * Runs git in {@link cwd}, committing with the given author date.
+ *
+ * @param {string} cwd
+ * @param {string[]} args
+ * @param {string} [date]
+ */
+function git(cwd, args, date = "2019-03-01T12:00:00Z") {
+  execFileSync("git", args, {
+    cwd,
+    stdio: "ignore",
+    env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+  });
+}
+
+describe("git-variables", () => {
+  let repository;
+
+  before(() => {
+    repository = fs.mkdtempSync(path.join(os.tmpdir(), "git-variables-"));
+    git(repository, ["init", "--quiet"]);
+    git(repository, ["config", "user.name", "Jane Doe"]);
+    git(repository, ["config", "user.email", "jane@example.com"]);
+    git(repository, ["config", "commit.gpgsign", "false"]);
+
+    fs.writeFileSync(path.join(repository, "old-name.js"), "1;\n");
+    git(repository, ["add", "."]);
+    git(repository, ["commit", "--quiet", "-m", "Add file"]);
+
+    git(repository, ["config", "user.name", "John Roe"]);
+    git(repository, ["mv", "old-name.js", "tracked.js"]);
+    fs.writeFileSync(path.join(repository, "tracked.js"), "1;\n2;\n");
+    git(repository, ["add", "."]);
+    git(
+      repository,
+      ["commit", "--quiet", "-m", "Rename file"],
+      "2021-06-01T12:00:00Z",
+    );
+
+    fs.writeFileSync(path.join(repository, "untracked.js"), "1;\n");
+  });
+
+  after(() => {
+    fs.rmSync(repository, { recursive: true, force: true });
+  });
+
+  it("Derives variables from the history of tracked files", () => {
+    const variables = getGitVariables(path.join(repository, "tracked.js"));
+    assert.equal(variables["git.createdYear"](), "2019");
+    assert.equal(variables["git.modifiedYear"](), "2021");
+    assert.equal(variables["git.author"](), "Jane Doe");
+  });
+
+  it("Falls back to the current year and git user for untracked files", () => {
+    const variables = getGitVariables(path.join(repository, "untracked.js"));
+    assert.equal(variables["git.createdYear"](), currentYear);
+    assert.equal(variables["git.modifiedYear"](), currentYear);
+    assert.equal(variables["git.author"](), "John Roe");
+  });
+
+  it("Falls back when the file is outside a repository", () => {
+    const variables = getGitVariables(
+      path.join(repository, "missing", "file.js"),
+    );
+    assert.equal(variables["git.createdYear"](), currentYear);
+    assert.equal(variables["git.author"](), undefined);
+  });
+
+  it("Reads the history again after a commit", () => {
+    const variables = getGitVariables(path.join(repository, "untracked.js"));
+    assert.equal(variables["git.createdYear"](), currentYear);
+
+    // Distinct content, so that git does not follow it as a copy.
+    fs.writeFileSync(
+      path.join(repository, "untracked.js"),
+      "module.exports = 'untracked';\n",
+    );
+    git(repository, ["add", "untracked.js"]);
+    git(
+      repository,
+      ["commit", "--quiet", "-m", "Add untracked file"],
+      "2020-01-01T12:00:00Z",
+    );
+    assert.equal(variables["git.createdYear"](), "2020");
+  });
+});
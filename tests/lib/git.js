@@ -0,0 +1,99 @@
+"use strict";
+
+const assert = require("assert");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { isFileChanged, runGit } = require("../../lib/git");
+
+/**
+ * Runs git in {@link cwd}.
+ *
+ * @param {string} cwd
+ * @param {string[]} args
+ */
+function git(cwd, args) {
+  execFileSync("git", args, { cwd, stdio: "ignore" });
+}
+
+describe("git", () => {
+  let repository;
+
+  before(() => {
+    repository = fs.mkdtempSync(path.join(os.tmpdir(), "git-changes-"));
+    git(repository, ["init", "--quiet", "--initial-branch=main"]);
+    git(repository, ["config", "user.name", "Jane Doe"]);
+    git(repository, ["config", "user.email", "jane@example.com"]);
+    git(repository, ["config", "commit.gpgsign", "false"]);
+    ["changed.js", "staged.js", "unchanged.js"].forEach((file) =>
+      fs.writeFileSync(path.join(repository, file), "1;\n"),
+    );
+    git(repository, ["add", "."]);
+    git(repository, ["commit", "--quiet", "-m", "Add files"]);
+
+    git(repository, ["checkout", "--quiet", "-b", "feature"]);
+    fs.writeFileSync(path.join(repository, "changed.js"), "2;\n");
+    git(repository, ["commit", "--quiet", "-am", "Change file"]);
+    fs.writeFileSync(path.join(repository, "staged.js"), "2;\n");
+    git(repository, ["add", "staged.js"]);
+    fs.writeFileSync(path.join(repository, "untracked.js"), "1;\n");
+  });
+
+  after(() => {
+    fs.rmSync(repository, { recursive: true, force: true });
+  });
+
+  it("Runs git commands, returning undefined when they fail", () => {
+    assert.equal(
+      runGit(["rev-parse", "--abbrev-ref", "HEAD"], repository),
+      "feature",
+    );
+    assert.equal(runGit(["rev-parse", "missing-ref"], repository), undefined);
+  });
+
+  it("Detects files changed since the merge base of a ref", () => {
+    const config = { changedSince: "main" };
+    const isChanged = (file) =>
+      isFileChanged(path.join(repository, file), config);
+    assert.equal(isChanged("changed.js"), true);
+    assert.equal(isChanged("staged.js"), true);
+    assert.equal(isChanged("untracked.js"), true);
+    assert.equal(isChanged("unchanged.js"), false);
+  });
+
+  it("Detects staged files", () => {
+    const config = { staged: true };
+    const isChanged = (file) =>
+      isFileChanged(path.join(repository, file), config);
+    assert.equal(isChanged("staged.js"), true);
+    assert.equal(isChanged("changed.js"), false);
+  });
+
+  it("Cannot tell if files changed for unknown refs or outside a repository", () => {
+    assert.equal(
+      isFileChanged(path.join(repository, "changed.js"), {
+        changedSince: "missing-ref",
+      }),
+      undefined,
+    );
+    assert.equal(
+      isFileChanged(path.join(repository, "missing", "file.js"), {
+        staged: true,
+      }),
+      undefined,
+    );
+  });
+
+  it("Detects files changed or staged after the changed files were listed", () => {
+    const filename = path.join(repository, "unchanged.js");
+    assert.equal(isFileChanged(filename, { changedSince: "main" }), false);
+    assert.equal(isFileChanged(filename, { staged: true }), false);
+
+    fs.writeFileSync(filename, "2;\n");
+    assert.equal(isFileChanged(filename, { changedSince: "main" }), true);
+    git(repository, ["add", "unchanged.js"]);
+    assert.equal(isFileChanged(filename, { staged: true }), true);
+  });
+});
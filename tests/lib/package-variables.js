@@ -0,0 +1,79 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  formatPerson,
+  getPackageVariables,
+} = require("../../lib/package-variables");
+
+const monorepo = path.join(__dirname, "../fixtures/monorepo");
+
+describe("package-variables", () => {
+  it("Reads variables from the nearest package.json", () => {
+    assert.deepEqual(
+      getPackageVariables(path.join(monorepo, "packages/core/src/index.js")),
+      {
+        "package.name": "@acme/core",
+        "package.version": "2.1.0",
+        "package.license": "Apache-2.0",
+        "package.author": "Acme Corp. <oss@acme.example>",
+      },
+    );
+    assert.deepEqual(
+      getPackageVariables(path.join(monorepo, "packages/utils/index.js")),
+      {
+        "package.name": "@acme/utils",
+        "package.version": "0.4.2",
+        "package.license": "MIT",
+        "package.author": "Jane Doe <jane@acme.example>",
+      },
+    );
+  });
+
+  it("Leaves fields missing from the package.json undefined", () => {
+    assert.deepEqual(
+      getPackageVariables(path.join(monorepo, "packages/other/index.js")),
+      {
+        "package.name": "monorepo",
+        "package.version": undefined,
+        "package.license": "MIT",
+        "package.author": undefined,
+      },
+    );
+  });
+
+  it("Reads a package.json again after it is modified", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "package-"));
+    const packageJsonPath = path.join(directory, "package.json");
+    const filename = path.join(directory, "index.js");
+    try {
+      fs.writeFileSync(packageJsonPath, JSON.stringify({ name: "old" }));
+      assert.equal(getPackageVariables(filename)["package.name"], "old");
+
+      fs.writeFileSync(packageJsonPath, JSON.stringify({ name: "new" }));
+      const modifiedTime = new Date(Date.now() + 1000);
+      fs.utimesSync(packageJsonPath, modifiedTime, modifiedTime);
+      assert.equal(getPackageVariables(filename)["package.name"], "new");
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it("Formats people as strings", () => {
+    assert.equal(formatPerson("Jane Doe"), "Jane Doe");
+    assert.equal(
+      formatPerson({
+        name: "Jane Doe",
+        email: "jane@example.com",
+        url: "https://example.com",
+      }),
+      "Jane Doe <jane@example.com> (https://example.com)",
+    );
+    assert.equal(formatPerson({}), undefined);
+    assert.equal(formatPerson(undefined), undefined);
+  });
+});
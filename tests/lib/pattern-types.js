@@ -0,0 +1,91 @@
+"use strict";
+
+const assert = require("assert");
+
+const {
+  PATTERN_TYPES,
+  validatePatternValue,
+} = require("../../lib/pattern-types");
+
+const currentYear = new Date().getFullYear();
+
+describe("pattern-types", () => {
+  it("Rejects years in the future and unordered year ranges", () => {
+    assert.equal(validatePatternValue("year", `${currentYear}`), undefined);
+    assert.equal(
+      validatePatternValue("year", `${currentYear + 1}`),
+      "is in the future",
+    );
+    assert.equal(validatePatternValue("yearRange", "2019-2021"), undefined);
+    assert.equal(
+      validatePatternValue("yearRange", "2021-2019"),
+      "ends before it starts",
+    );
+  });
+
+  it("Rejects dates that do not exist", () => {
+    assert.equal(validatePatternValue("date", "2024-02-29"), undefined);
+    assert.equal(
+      validatePatternValue("date", "2023-02-29"),
+      "is not a valid date",
+    );
+    assert.equal(
+      validatePatternValue("date", "2023-13-01"),
+      "is not a valid date",
+    );
+    assert.equal(
+      validatePatternValue("date", `${currentYear + 1}-01-01`),
+      "is in the future",
+    );
+  });
+
+  it("Rejects emails with invalid domains", () => {
+    assert.equal(validatePatternValue("email", "jane@example.com"), undefined);
+    assert.equal(
+      validatePatternValue("email", "jane@localhost"),
+      "does not have a valid domain",
+    );
+    assert.equal(
+      validatePatternValue("email", "jane@-example.com"),
+      "does not have a valid domain",
+    );
+  });
+
+  it("Rejects semantic versions with leading zeros", () => {
+    assert.equal(validatePatternValue("semver", "1.10.0-rc.1"), undefined);
+    assert.equal(
+      validatePatternValue("semver", "1.02.0"),
+      "has numeric identifiers with leading zeros",
+    );
+  });
+
+  it("Rejects malformed SPDX expressions", () => {
+    assert.equal(
+      validatePatternValue("spdx", "(MIT OR Apache-2.0)"),
+      undefined,
+    );
+    assert.equal(
+      validatePatternValue("spdx", "MIT or Apache-2.0"),
+      "must use uppercase operators",
+    );
+    assert.equal(
+      validatePatternValue("spdx", "(MIT OR Apache-2.0"),
+      "has unbalanced parentheses",
+    );
+  });
+
+  it("Matches values of each type with its pattern", () => {
+    const values = {
+      year: "2024",
+      yearRange: "2019-2024",
+      date: "2024-05-31",
+      email: "jane@example.com",
+      semver: "1.2.3-beta.1+build.5",
+      spdx: "GPL-2.0-only WITH Classpath-exception-2.0",
+    };
+
+    Object.entries(values).forEach(([type, value]) => {
+      assert.match(value, new RegExp(`^${PATTERN_TYPES[type].pattern}$`));
+    });
+  });
+});
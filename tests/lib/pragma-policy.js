@@ -0,0 +1,74 @@
+"use strict";
+
+const assert = require("assert");
+
+const PragmaPolicy = require("../../lib/pragma-policy");
+
+describe("PragmaPolicy", () => {
+  it("Keeps all pragmas by default", () => {
+    // Arrange
+    const policy = new PragmaPolicy();
+    const pragmas = [["@license MIT"], ["@jest-environment node"]];
+
+    // Act
+    const result = policy.apply(pragmas);
+
+    // Assert
+    assert.deepEqual(result, pragmas);
+    assert.equal(policy.placement, "after");
+    assert.equal(policy.blankLines, 1);
+  });
+
+  it("Filters pragmas with allow and deny lists", () => {
+    // Arrange
+    const policy = new PragmaPolicy({
+      allow: ["@jest-environment", "author"],
+      deny: ["@author"],
+    });
+    const pragmas = [
+      ["@author Jane Doe"],
+      ["@jest-environment node"],
+      ["@license MIT"],
+    ];
+
+    // Act
+    const result = policy.apply(pragmas);
+
+    // Assert
+    assert.deepEqual(result, [["@jest-environment node"]]);
+    assert.equal(policy.isAllowed(["@author Jane Doe"]), false);
+  });
+
+  it("Sorts pragmas alphabetically by tag, keeping their values", () => {
+    // Arrange
+    const policy = new PragmaPolicy({ sort: "alphabetical" });
+    const pragmas = [
+      ["@license MIT", "  See LICENSE."],
+      ["@jsxImportSource preact"],
+      ["@jest-environment node"],
+    ];
+
+    // Act
+    const result = policy.apply(pragmas);
+
+    // Assert
+    assert.deepEqual(result, [
+      ["@jest-environment node"],
+      ["@jsxImportSource preact"],
+      ["@license MIT", "  See LICENSE."],
+    ]);
+    assert.equal(policy.isSorted(pragmas), false);
+    assert.equal(policy.isSorted(result), true);
+  });
+
+  it("Gets the tag of a pragma without its value", () => {
+    // Arrange
+    const policy = new PragmaPolicy();
+
+    // Act
+    const tag = policy.getTag(["@jest-environment jsdom"]);
+
+    // Assert
+    assert.equal(tag, "jest-environment");
+  });
+});
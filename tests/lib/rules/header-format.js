@@ -4,6 +4,9 @@
  */
 "use strict";
 
+const assert = require("assert");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
 const path = require("path");
 const os = require("os");
 
@@ -12,12 +15,17 @@ const os = require("os");
 //------------------------------------------------------------------------------
 
 const rule = require("../../../lib/rules/header-format"),
-  RuleTester = require("eslint").RuleTester;
+  { Linter, RuleTester } = require("eslint");
 
 //------------------------------------------------------------------------------
 // Tests
 //------------------------------------------------------------------------------
 
+const currentYear = new Date().getFullYear();
+const today = [currentYear, new Date().getMonth() + 1, new Date().getDate()]
+  .map((part) => `${part}`.padStart(2, "0"))
+  .join("-");
+
 const ruleTester = new RuleTester();
 ruleTester.run("header-presence", rule, {
   valid: [
@@ -236,399 +244,2353 @@ ruleTester.run("header-presence", rule, {
       ],
       code: "/** Copyright.abcde **/module.exports = 42;",
     },
-  ],
-
-  invalid: [
     {
-      name: "Fixes a missing header in an empty file",
+      name: "Matches the built-in year variables",
       options: [
         {
           source: "string",
-          content: "This is a header.",
+          content: "Copyright {year}. Updated {currentYear}.",
         },
       ],
-      code: "",
-      errors: [{ messageId: "missingHeader" }],
-      output: `/**${os.EOL} * This is a header.${os.EOL} */${os.EOL}`,
+      code: `/**\n * Copyright ${currentYear}. Updated ${currentYear}.\n */\nmodule.exports = 42;\n`,
     },
     {
-      name: "Fixes a missing header",
+      name: "Matches the built-in file path variables",
       options: [
         {
           source: "string",
-          content: "This is the expected header comment.",
+          content:
+            "@file {file.path}\nName: {file.name} ({file.ext}) in {file.dir}.",
         },
       ],
-      code: "module.exports = 42;\n",
-      errors: [{ messageId: "missingHeader" }],
-      output:
-        "/**\n * This is the expected header comment.\n */\nmodule.exports = 42;\n",
+      filename: "src/api/client.js",
+      code: "/**\n * @file src/api/client.js\n * Name: client.js (.js) in src/api.\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Fixes a header with mismatched content",
+      name: "Strips configured prefixes and index from module names",
       options: [
         {
           source: "string",
-          content: "This is the expected header comment.",
+          content: "@module {file.module}",
+          moduleName: { stripPrefixes: ["lib", "src/"] },
         },
       ],
-      code: "/**\n * This is the wrong header comment.\n */\nmodule.exports = 42;\n",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output:
-        "/**\n * This is the expected header comment.\n */\nmodule.exports = 42;\n",
+      filename: "src/api/index.js",
+      code: "/**\n * @module api\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Adds a line-comment header when expected content is split by too many newlines",
+      name: "Keeps index in module names when configured",
       options: [
         {
           source: "string",
-          content: "This is a\nsplit comment",
-          style: "line",
+          content: "@module {file.module}",
+          moduleName: { stripIndex: false },
         },
       ],
-      code: "// This is a\n\n// split comment\nmodule.exports = 42;\n",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output:
-        "// This is a\n// split comment\n\n// split comment\nmodule.exports = 42;\n",
+      filename: "src/api/index.js",
+      code: "/**\n * @module src/api/index\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Replaces the leading header when the leading header does not match expected content",
+      name: "Resolves file path variables relative to the configured root",
       options: [
         {
           source: "string",
-          content: "This is a header",
+          content: "@file {file.path}",
+          root: "packages/core",
         },
       ],
-      code: "// Bad comment\nmodule.exports = 42;\n",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output: "/**\n * This is a header\n */\nmodule.exports = 42;\n",
+      filename: "packages/core/src/index.js",
+      code: "/**\n * @file src/index.js\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Fixes missing header content when header includes a pragma expression",
+      name: "Matches variables from the nearest package.json",
       options: [
         {
           source: "string",
-          content: "This is a header",
+          content:
+            "{package.name} v{package.version}\nCopyright {package.author}.\nLicensed under {package.license}.",
         },
       ],
-      code: "/**\n * @jest-environment jsdom\n */\n\nmodule.exports = 42;\n",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output:
-        "/**\n * This is a header\n *\n * @jest-environment jsdom\n */\n\nmodule.exports = 42;\n",
+      filename: path.join(
+        __dirname,
+        "../../fixtures/monorepo/packages/core/src/index.js",
+      ),
+      code: "/**\n * @acme/core v2.1.0\n * Copyright Acme Corp. <oss@acme.example>.\n * Licensed under Apache-2.0.\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Removes pragma expressions when configured to do so",
+      name: "Falls back to the current year for files without git history",
       options: [
         {
           source: "string",
-          content: "This is a header",
-          preservePragmas: false,
+          content: "Copyright {git.createdYear}-{git.modifiedYear}.",
         },
       ],
-      code: "/**\n * @jest-environment jsdom\n */\n\nmodule.exports = 42;\n",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output: "/**\n * This is a header\n */\n\nmodule.exports = 42;\n",
+      filename: "src/untracked-file.js",
+      code: `/**\n * Copyright ${currentYear}-${currentYear}.\n */\nmodule.exports = 42;\n`,
     },
     {
-      name: "Fixes a mismatched block prefix",
+      name: "Prefers configured variables over git variables",
       options: [
         {
           source: "string",
-          content: "This is a header",
-          blockPrefix: "blockPrefix\n",
+          content: "Copyright {git.author}.",
+          variables: { "git.author": "Acme Corp" },
         },
       ],
-      code: "/**\n * This is a header.\n */\nmodule.exports = 42;",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output: "/*blockPrefix\n * This is a header\n */\nmodule.exports = 42;",
+      code: "/**\n * Copyright Acme Corp.\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Fixes a mismatched block suffix",
+      name: "Matches the owner from CODEOWNERS",
       options: [
         {
           source: "string",
-          content: "This is a header",
-          blockSuffix: "\nblockSuffix",
+          content: "Maintained by {owner}.",
+          root: path.join(__dirname, "../../fixtures/monorepo"),
         },
       ],
-      code: "/**\n * This is a header.\n */\nmodule.exports = 42;",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output: "/**\n * This is a header\nblockSuffix*/\nmodule.exports = 42;",
+      filename: path.join(
+        __dirname,
+        "../../fixtures/monorepo/packages/core/src/index.js",
+      ),
+      code: "/**\n * Maintained by @acme/core-team.\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Fixes mismatched trailing newlines",
+      name: "Ignores documentation comments matching a free-text template",
+      options: [{ source: "string", content: "(description...)" }],
+      code: "/**\n * Exports things.\n */\n\n/**\n * Does a thing.\n */\nfunction f() {}\n\n/**\n * Does another thing.\n */\nexport const g = () => f();\n",
+      languageOptions: { sourceType: "module" },
+    },
+    {
+      name: "Ignores documentation comments starting with the header text",
+      options: [{ source: "string", content: "Copyright Acme" }],
+      code: "/**\n * Copyright Acme\n */\nconst a = 1;\n\n/**\n * Copyright Acme widgets are exported below.\n * Keep in sync with the docs.\n */\nmodule.exports = a;\n",
+    },
+    {
+      name: "Ignores line comments starting with the header text",
+      options: [{ source: "string", style: "line", content: "Copyright Acme" }],
+      code: "// Copyright Acme\nconst a = 1;\n\n// Copyright Acme owns this algorithm; see LICENSE.\nmodule.exports = a;\n",
+    },
+    {
+      name: "Accepts a file containing only the header",
+      options: [{ source: "string", content: "This is a header" }],
+      code: "/**\n * This is a header\n */\n",
+    },
+    {
+      name: "Accepts a file containing only comments",
+      options: [{ source: "string", content: "This is a header" }],
+      code: "// @ts-nocheck\n/**\n * This is a header\n */\n// TODO: add exports\n",
+    },
+    {
+      name: "Ignores comments nested in the code that match the header",
       options: [
-        {
-          source: "string",
-          content: "This is a header.",
-          trailingNewlines: 3,
-        },
+        { source: "string", content: "This is a header", matchMode: "prefix" },
       ],
-      code: "/**\n * This is a header.\n */\nmodule.exports = 42;",
-      errors: [{ messageId: "trailingNewlinesMismatch" }],
-      output: "/**\n * This is a header.\n */\n\n\nmodule.exports = 42;",
+      code: "/**\n * This is a header\n */\nmodule.exports = function () {\n  /**\n   * This is a header\n   */\n  return 42;\n};\n",
     },
     {
-      name: "Fixes a missing header and appends configured trailing newlines",
+      name: "Allows additional lines after the content by default",
+      options: [{ source: "string", content: "This is a header" }],
+      code: "/**\n * This is a header\n * extra line\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Allows additional lines after line-style content by default",
       options: [
-        {
-          source: "string",
-          content: "This is a header with custom trailing newlines.",
-          trailingNewlines: 2,
-        },
+        { source: "string", style: "line", content: "This is a header" },
       ],
-      code: "module.exports = 42;\n",
-      errors: [{ messageId: "missingHeader" }],
-      output:
-        "/**\n * This is a header with custom trailing newlines.\n */\n\nmodule.exports = 42;\n",
+      code: "// This is a header\n// extra line\nmodule.exports = 42;\n",
     },
     {
-      name: "Fixes a header with mismatched variable content",
+      name: "Prefers configured variables over built-in variables",
       options: [
         {
           source: "string",
-          content: "This is a {template}",
-          variables: {
-            template: "header",
-          },
+          content: "Copyright {year}.",
+          variables: { year: "2077" },
         },
       ],
-      code: "/**\n * This is a bad header\n */\nmodule.exports = 42;\n",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output: "/**\n * This is a header\n */\nmodule.exports = 42;\n",
+      code: "/**\n * Copyright 2077.\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Fixes a file with a shebang and no header",
+      name: "Matches a year range ending in the current year",
       options: [
         {
           source: "string",
-          content: "This is a header",
+          content: "Copyright {year} Acme.",
+          yearRange: true,
         },
       ],
-      code: "#! /usr/bin/node\nmodule.exports = 42;\n",
-      errors: [{ messageId: "missingHeader" }],
-      output:
-        "#! /usr/bin/node\n/**\n * This is a header\n */\nmodule.exports = 42;\n",
+      code: `/**\n * Copyright 2019-${currentYear} Acme.\n */\nmodule.exports = 42;\n`,
     },
     {
-      name: "Fixes a file correctly when configured with falsy values",
+      name: "Ignores files not matched by any header configuration",
+      filename: "vendor/library.js",
       options: [
         {
+          files: ["src/**/*.js"],
           source: "string",
-          content: "This is a header.",
-          style: "jsdoc",
-          blockPrefix: "",
-          blockSuffix: "",
-          linePrefix: "",
-          trailingNewlines: 0,
+          content: "Source header",
+        },
+        {
+          files: ["tests/**/*.js"],
+          source: "string",
+          content: "Test header",
         },
       ],
       code: "module.exports = 42;\n",
-      errors: [{ messageId: "missingHeader" }],
-      output: "/*This is a header.*/module.exports = 42;\n",
     },
     {
-      name: "Identifies a missing header when configured with a pattern and no default pattern value",
+      name: "Skips leading directive comments when locating the header",
+      options: [{ source: "string", content: "This is a header" }],
+      code: "#!/usr/bin/env node\n/* eslint-disable no-console */\n// @ts-nocheck\n/* istanbul ignore file */\n/**\n * This is a header\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Ends a line-style header at a directive comment",
       options: [
-        {
-          source: "string",
-          content: "Copyright (year)",
-          style: "jsdoc",
-          patterns: {
-            year: {
-              pattern: "\\d{4}",
-            },
-          },
-        },
+        { source: "string", style: "line", content: "This is a header" },
       ],
-      code: "module.exports = 42;\n",
-      errors: [{ messageId: "missingHeader" }],
+      code: "// @flow\n// This is a header\n// eslint-disable-next-line no-undef\nmodule.exports = 42;\n",
     },
     {
-      name: "Identifies an invalid pattern correctly",
+      name: "Matches custom directive patterns",
       options: [
         {
           source: "string",
-          content: "Copyright (year)",
-          style: "jsdoc",
-          patterns: {
-            year: {
-              pattern: "\\d{4}",
-            },
-          },
+          content: "This is a header",
+          directivePatterns: ["^@custom-directive\\b"],
         },
       ],
-      code: "/**\nCopyright 202\n */\nmodule.exports = 42;\n",
-      errors: [{ messageId: "headerContentMismatch" }],
+      code: "/* @custom-directive */\n/**\n * This is a header\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Fixes a missing header when configured with a pattern and default value correctly",
+      name: "Matches a header placed before directives",
       options: [
         {
           source: "string",
-          content: "Copyright (year)",
-          style: "jsdoc",
-          patterns: {
-            year: {
-              pattern: "\\d{4}",
-              defaultValue: "2025",
-            },
-          },
+          content: "This is a header",
+          headerPlacement: "beforeDirectives",
         },
       ],
-      code: "module.exports = 42;\n",
-      errors: [{ messageId: "missingHeader" }],
-      output: "/**\n * Copyright 2025\n */\nmodule.exports = 42;\n",
+      code: "/**\n * This is a header\n */\n/* eslint-disable no-console */\nmodule.exports = 42;\n",
     },
     {
-      name: "Fixes a pattern mismatch correctly",
+      name: "Matches pragmas allowed by the pragma policy",
       options: [
         {
           source: "string",
-          content: "Copyright (year)",
-          style: "jsdoc",
-          patterns: {
-            year: {
-              pattern: "\\d{4}",
-              defaultValue: "2025",
-            },
-          },
+          content: "This is a header",
+          pragmas: { allow: ["@jest-environment"], sort: "alphabetical" },
         },
       ],
-      code: "/**\n * Copyright 202\n */\nmodule.exports = 42;\n",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output: "/**\n * Copyright 2025\n */\nmodule.exports = 42;\n",
+      code: "/**\n * This is a header\n *\n * @jest-environment node\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Fixes a content mismatch with variables and partially satisfied pattern values",
+      name: "Matches pragmas placed before the header content",
       options: [
         {
           source: "string",
-          content: "Copyright (year) {author}. All rights reserved (year).",
-          style: "jsdoc",
-          variables: {
-            author: "Author",
-          },
-          patterns: {
-            year: {
-              pattern: "\\d{4}",
-              defaultValue: "2025",
-            },
-          },
+          content: "This is a header",
+          pragmas: { placement: "before" },
         },
       ],
-      code: "/**\n * Copyright 2025 Author. All rights reserved.\n */\nmodule.exports = 42;\n",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output:
-        "/**\n * Copyright 2025 Author. All rights reserved 2025.\n */\nmodule.exports = 42;\n",
+      code: "/**\n * @license MIT\n *   See LICENSE.\n * @jsx h\n *\n * This is a header\n */\nmodule.exports = 42;\n",
     },
-  ],
-});
-
-const ruleTesterVue = new RuleTester({
-  languageOptions: { parser: require("vue-eslint-parser"), ecmaVersion: 2018 },
-});
-
-const enableVueOption = { enableVueSupport: true };
-ruleTesterVue.run("header-presence-html", rule, {
-  valid: [
     {
-      name: "Correctly matches a valid HTML header comment with the correct content",
-      filename: "test.vue",
+      name: "Matches a header starting with the content in prefix mode",
       options: [
-        { source: "string", content: "This is a header", ...enableVueOption },
+        { source: "string", content: "Copyright Acme", matchMode: "prefix" },
       ],
-      code: "<!--\n  This is a header\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+      code: "/**\n * Copyright Acme\n *\n * Parses configuration files.\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Correctly matches a valid HTML header comment with the correct content when the leading tag is not <template />",
-      filename: "test.vue",
+      name: "Matches a header containing the content in contains mode",
       options: [
-        { source: "string", content: "This is a header", ...enableVueOption },
+        { source: "string", content: "Copyright Acme", matchMode: "contains" },
       ],
-      code: "<!--\n  This is a header\n-->\n<style>div { font-size: 2em; }</style>\n<template>\n  <div>This is content</div>\n</template>\n",
+      code: "/**\n * Parses configuration files.\n *\n * Copyright Acme\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Correctly matches a multiline HTML comment header",
-      filename: "test.vue",
+      name: "Matches a reflowed header when normalizing whitespace",
       options: [
         {
           source: "string",
-          content: "This is a header\nwith another line",
-          ...enableVueOption,
+          content:
+            "Copyright (c) Acme Corp. Licensed under the Apache License,\nVersion 2.0.",
+          normalize: { equivalents: [["(c)", "©"]] },
         },
       ],
-      code: "<!--\n  This is a header\n  with another line\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+      code: "/**\n * Copyright © Acme Corp.\n * Licensed under the Apache License, Version\n * 2.0.\n */\nmodule.exports = 42;\n",
     },
-  ],
-  invalid: [
     {
-      name: "Inserts a missing header comment",
-      filename: "test.vue",
+      name: "Matches a header wrapped to the maximum line length",
       options: [
-        { source: "string", content: "This is a header", ...enableVueOption },
+        {
+          source: "file",
+          path: path.join(__dirname, "../../example-multiparagraph-header.txt"),
+          maxLineLength: 20,
+        },
       ],
-      code: "<template>\n  <div>This is content</div>\n</template>\n",
-      errors: [{ messageId: "missingHeader" }],
-      output:
-        "<!--\n  This is a header\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+      code: "/**\n * This is line one.\n * This is line two.\n *\n * This is the\n * second paragraph.\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Fixes a header comment with mismatched content",
-      filename: "test.vue",
+      name: "Keeps short lines when wrapping to the maximum line length",
       options: [
         {
           source: "string",
-          content: "This is the expected header",
-          ...enableVueOption,
+          content:
+            "Copyright Acme Corp.\nAll rights reserved.\n@license MIT\n@author Jane",
+          maxLineLength: 80,
         },
       ],
-      code: "<!--\n  This is an incorrect header\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output:
-        "<!--\n  This is the expected header\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+      code: "/**\n * Copyright Acme Corp.\n * All rights reserved.\n * @license MIT\n * @author Jane\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Inserts the missing header before a script tag",
-      filename: "test.vue",
+      name: "Accepts a JSDoc header containing @license as a legal comment",
       options: [
         {
           source: "string",
-          content: "This is the expected header",
-          ...enableVueOption,
+          style: "legal",
+          content: "Copyright Acme Corp.\n@license MIT",
         },
       ],
-      code: "<!--\n  This is an incorrect header\n-->\n<script>import fakeModule from 'fakeModule';\nconst magicNum = 42;\n</script>\n<template>\n  <div>This is content</div>\n</template>\n",
-      errors: [{ messageId: "headerContentMismatch" }],
-      output:
-        "<!--\n  This is the expected header\n-->\n<script>import fakeModule from 'fakeModule';\nconst magicNum = 42;\n</script>\n<template>\n  <div>This is content</div>\n</template>\n",
+      code: "/**\n * Copyright Acme Corp.\n * @license MIT\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Inserts missing trailing newlines",
-      filename: "test.vue",
+      name: "Accepts a JSDoc header with a @preserve pragma as a legal comment",
       options: [
-        {
-          source: "string",
-          content: "This is a header",
-          trailingNewlines: 2,
-          ...enableVueOption,
-        },
+        { source: "string", style: "legal", content: "Copyright Acme Corp." },
       ],
-      code: "<!--\n  This is a header\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
-      errors: [{ messageId: "trailingNewlinesMismatch" }],
-      output:
-        "<!--\n  This is a header\n-->\n\n<template>\n  <div>This is content</div>\n</template>\n",
+      code: "/**\n * Copyright Acme Corp.\n *\n * @preserve\n */\nmodule.exports = 42;\n",
     },
     {
-      name: "Correctly identifies a missing header when another comment exists",
-      filename: "test.vue",
+      name: "Matches a plain block comment header",
       options: [
-        { source: "string", content: "This is a header", ...enableVueOption },
+        { source: "string", style: "block", content: "This is a header" },
       ],
-      code: "<template>\n  <div>This is content</div>\n</template>\n<!-- This is a footer -->",
-      errors: [{ messageId: "missingHeader" }],
-      output:
+      code: "/*\n * This is a header\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Matches a legal comment header",
+      options: [{ source: "string", style: "legal", content: "@license MIT" }],
+      code: "/*!\n * @license MIT\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Matches a banner header regardless of its alignment",
+      options: [
+        {
+          source: "string",
+          style: "banner",
+          banner: { width: 24 },
+          content: "Acme Corp.\n\n@license MIT",
+        },
+      ],
+      code: [
+        "/***********************",
+        " *      Acme Corp.     *",
+        " *                     *",
+        " *    @license MIT     *",
+        " **********************/",
+        "module.exports = 42;",
+        "",
+      ].join("\n"),
+    },
+    {
+      name: "Matches repeated and optional template sections",
+      options: [
+        {
+          source: "string",
+          content: [
+            "{{#repeat min=1 max=3}}",
+            "Copyright (year) (holder)",
+            "{{/repeat}}",
+            "{{#optional}}",
+            "",
+            "Portions derived from Foo.",
+            "{{/optional}}",
+          ].join("\n"),
+          patterns: {
+            year: { pattern: "\\d{4}", defaultValue: "2024" },
+            holder: { pattern: "\\S.*?", defaultValue: "Acme Corp." },
+          },
+        },
+      ],
+      code: "/**\n * Copyright 2019 Acme Corp.\n * Copyright 2021 Initech\n *\n * Portions derived from Foo.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Matches a header omitting an optional template section",
+      options: [
+        {
+          source: "string",
+          content: [
+            "{{#repeat min=1 max=3}}",
+            "Copyright (year) (holder)",
+            "{{/repeat}}",
+            "{{#optional}}",
+            "",
+            "Portions derived from Foo.",
+            "{{/optional}}",
+          ].join("\n"),
+          patterns: {
+            year: { pattern: "\\d{4}", defaultValue: "2024" },
+            holder: { pattern: "\\S.*?", defaultValue: "Acme Corp." },
+          },
+        },
+      ],
+      code: "/**\n * Copyright 2019 Acme Corp.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Matches any text in a free-text slot",
+      options: [
+        {
+          source: "string",
+          content: "(description...)\n\nLicensed under MIT.",
+        },
+      ],
+      code: "/**\n * Parses things.\n * Handles more things.\n *\n * Licensed under MIT.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Matches typed patterns",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) (author) <(email)>\n@license (license)",
+          patterns: {
+            year: { type: "year" },
+            author: { pattern: "[\\w ]+", defaultValue: "Acme" },
+            email: { type: "email", defaultValue: "legal@acme.com" },
+            license: { type: "spdx", defaultValue: "MIT" },
+          },
+        },
+      ],
+      code: "/**\n * Copyright 2019 Jane Doe <jane@example.com>\n * @license MIT OR Apache-2.0\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Matches an allowed value of an enumerated pattern",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (holder)",
+          patterns: {
+            holder: {
+              enum: ["Acme Inc.", "Acme GmbH"],
+              deprecated: { "Acme Corp.": "Acme Inc." },
+              defaultValue: "Acme Inc.",
+            },
+          },
+        },
+      ],
+      code: "/**\n * Copyright Acme GmbH\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Matches a single current year in year range mode",
+      options: [
+        {
+          source: "string",
+          content: "Copyright {year} Acme.",
+          yearRange: true,
+        },
+      ],
+      code: `/**\n * Copyright ${currentYear} Acme.\n */\nmodule.exports = 42;\n`,
+    },
+  ],
+
+  invalid: [
+    {
+      name: "Fixes a missing header in an empty file",
+      options: [
+        {
+          source: "string",
+          content: "This is a header.",
+        },
+      ],
+      code: "",
+      errors: [{ messageId: "missingHeader" }],
+      output: `/**${os.EOL} * This is a header.${os.EOL} */${os.EOL}`,
+    },
+    {
+      name: "Fixes a missing header",
+      options: [
+        {
+          source: "string",
+          content: "This is the expected header comment.",
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output:
+        "/**\n * This is the expected header comment.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes a header with mismatched content",
+      options: [
+        {
+          source: "string",
+          content: "This is the expected header comment.",
+        },
+      ],
+      code: "/**\n * This is the wrong header comment.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "/**\n * This is the expected header comment.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Adds a line-comment header when expected content is split by too many newlines",
+      options: [
+        {
+          source: "string",
+          content: "This is a\nsplit comment",
+          style: "line",
+        },
+      ],
+      code: "// This is a\n\n// split comment\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "// This is a\n// split comment\n\n// split comment\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Replaces the leading header when the leading header does not match expected content",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+        },
+      ],
+      code: "// Bad comment\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output: "/**\n * This is a header\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes missing header content when header includes a pragma expression",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+        },
+      ],
+      code: "/**\n * @jest-environment jsdom\n */\n\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "/**\n * This is a header\n *\n * @jest-environment jsdom\n */\n\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Preserves pragma expressions in line-style headers",
+      options: [
+        {
+          source: "string",
+          style: "line",
+          content: "This is a header",
+        },
+      ],
+      code: "// This is an old header\n//\n// @jest-environment node\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "// This is a header\n//\n// @jest-environment node\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Preserves multi-line pragma values",
+      options: [{ source: "string", content: "This is a header" }],
+      code: "/**\n * Old header\n * @jsxImportSource preact\n * @license MIT\n *   See LICENSE.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "/**\n * This is a header\n *\n * @jsxImportSource preact\n * @license MIT\n *   See LICENSE.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports pragmas denied by the pragma policy",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+          pragmas: { deny: ["@author"] },
+        },
+      ],
+      code: "/**\n * This is a header\n *\n * @author Jane Doe\n * @jest-environment node\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message: 'Pragma "@author" is not allowed in the header.',
+          line: 4,
+          column: 4,
+          endColumn: 20,
+        },
+      ],
+      output:
+        "/**\n * This is a header\n *\n * @jest-environment node\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Drops denied pragmas when fixing a mismatched header",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+          pragmas: { allow: ["jest-environment"] },
+        },
+      ],
+      code: "/**\n * Old header\n * @author Jane Doe\n * @jest-environment node\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "/**\n * This is a header\n *\n * @jest-environment node\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Sorts pragmas",
+      options: [
+        {
+          source: "string",
+          style: "line",
+          content: "This is a header",
+          pragmas: { sort: "alphabetical" },
+        },
+      ],
+      code: "// This is a header\n//\n// @license MIT\n// @jest-environment node\nmodule.exports = 42;\n",
+      errors: [{ message: "Pragmas must be sorted alphabetically." }],
+      output:
+        "// This is a header\n//\n// @jest-environment node\n// @license MIT\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Moves pragmas before the header content",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+          pragmas: { placement: "before" },
+        },
+      ],
+      code: "/**\n * This is a header\n *\n * @jest-environment node\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message:
+            "Pragmas must be placed before the header content, separated by 1 empty line(s).",
+        },
+      ],
+      output:
+        "/**\n * @jest-environment node\n *\n * This is a header\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Separates pragmas by the configured number of empty lines",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year)",
+          patterns: { year: { pattern: "\\d{4}" } },
+          pragmas: { blankLines: 0 },
+        },
+      ],
+      code: "/**\n * Copyright 2001\n *\n * @jest-environment node\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "pragmaPlacement" }],
+      output:
+        "/**\n * Copyright 2001\n * @jest-environment node\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports additional content in exact mode",
+      options: [
+        { source: "string", content: "Copyright Acme", matchMode: "exact" },
+      ],
+      code: "/**\n * Copyright Acme\n *\n * Parses configuration files.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output: "/**\n * Copyright Acme\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Inserts the content while keeping additional content in prefix mode",
+      options: [
+        { source: "string", content: "Copyright Acme", matchMode: "prefix" },
+      ],
+      code: "/**\n * Parses configuration files.\n *\n * Copyright Acme\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "/**\n * Copyright Acme\n *\n * Parses configuration files.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Replaces a renamed copyright line while keeping additional content in prefix mode",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) NewCo",
+          patterns: { year: { pattern: "\\d{4}", defaultValue: "2024" } },
+          matchMode: "prefix",
+        },
+      ],
+      code: "/**\n * Copyright 2019 OldCo\n *\n * Parses configuration files.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch", line: 2 }],
+      output:
+        "/**\n * Copyright 2019 NewCo\n *\n * Parses configuration files.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Replaces a renamed copyright line while keeping additional content in contains mode",
+      options: [
+        {
+          source: "string",
+          style: "line",
+          content: "Copyright (year) NewCo\nAll rights reserved.",
+          patterns: { year: { pattern: "\\d{4}", defaultValue: "2024" } },
+          matchMode: "contains",
+        },
+      ],
+      code: "// Copyright 2019 OldCo\n// All rights reserved.\n//\n// Parses configuration files.\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch", line: 1 }],
+      output:
+        "// Copyright 2019 NewCo\n// All rights reserved.\n//\n// Parses configuration files.\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Inserts the content while keeping additional content and pragmas in contains mode",
+      options: [
+        {
+          source: "string",
+          style: "line",
+          content: "Copyright (year) Acme",
+          patterns: { year: { pattern: "\\d{4}", defaultValue: "2024" } },
+          matchMode: "contains",
+        },
+      ],
+      code: "// Parses configuration files.\n//\n// @jest-environment node\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "// Copyright 2024 Acme\n//\n// Parses configuration files.\n//\n// @jest-environment node\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports a stale year in a reflowed header",
+      options: [
+        {
+          source: "string",
+          content: "Copyright {year} Acme Corp. All rights reserved.",
+          yearRange: true,
+          normalize: { ignoreCase: true },
+        },
+      ],
+      code: "/**\n * copyright 2019 acme corp.\n * all rights reserved.\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          messageId: "staleYear",
+          data: { actual: "2019", expected: `2019-${currentYear}`, entry: "" },
+          line: 2,
+          column: 14,
+        },
+      ],
+      output: `/**\n * copyright 2019-${currentYear} acme corp.\n * all rights reserved.\n */\nmodule.exports = 42;\n`,
+    },
+    {
+      name: "Fixes a mismatched header to the canonical layout when normalizing whitespace",
+      options: [
+        {
+          source: "string",
+          content: "Copyright Acme Corp. All rights reserved.",
+          normalize: {},
+        },
+      ],
+      code: "/**\n * Copyright Acme\n * Corporation. All rights reserved.\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message: "Header does not include expected content.",
+          line: 1,
+        },
+      ],
+      output:
+        "/**\n * Copyright Acme Corp. All rights reserved.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Inserts a header wrapped to the maximum line length",
+      options: [
+        {
+          source: "string",
+          style: "line",
+          content:
+            "Licensed under the Apache License, Version 2.0. See LICENSE for details.",
+          maxLineLength: 40,
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output:
+        "// Licensed under the Apache License,\n// Version 2.0. See LICENSE for details.\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports a header exceeding the maximum line length",
+      options: [
+        {
+          source: "file",
+          path: path.join(__dirname, "../../example-multiparagraph-header.txt"),
+          maxLineLength: 20,
+        },
+      ],
+      code: "/**\n * This is line one.\n * This is line two.\n *\n * This is the second paragraph.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch", line: 5 }],
+      output:
+        "/**\n * This is line one.\n * This is line two.\n *\n * This is the\n * second paragraph.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Inserts a missing legal comment header",
+      options: [
+        {
+          source: "string",
+          style: "legal",
+          content: "Copyright Acme Corp.\n@license MIT",
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output:
+        "/*!\n * Copyright Acme Corp.\n * @license MIT\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Converts a JSDoc header without @license or @preserve to a legal comment",
+      options: [
+        { source: "string", style: "legal", content: "Copyright Acme Corp." },
+      ],
+      code: "/**\n * Copyright Acme Corp.\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          messageId: "styleMismatch",
+          data: { expected: "legal", actual: "jsdoc", entry: "" },
+        },
+      ],
+      output: "/*!\n * Copyright Acme Corp.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Inserts a missing banner header",
+      options: [
+        {
+          source: "string",
+          style: "banner",
+          banner: { border: "=", width: 30, align: "center", lineSuffix: " |" },
+          content: "Copyright (year) Acme Corp.",
+          patterns: { year: { pattern: "\\d{4}", defaultValue: "2024" } },
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output: [
+        "/*============================",
+        " * Copyright 2024 Acme Corp. |",
+        " ===========================*/",
+        "module.exports = 42;",
+        "",
+      ].join("\n"),
+    },
+    {
+      name: "Wraps content lines to the banner width",
+      options: [
+        {
+          source: "string",
+          style: "banner",
+          banner: { width: 24 },
+          content: "Copyright Acme Corp. All rights reserved.",
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output: [
+        "/***********************",
+        " * Copyright Acme      *",
+        " * Corp. All rights    *",
+        " * reserved.           *",
+        " **********************/",
+        "module.exports = 42;",
+        "",
+      ].join("\n"),
+    },
+    {
+      name: "Fixes a banner header line missing its suffix",
+      options: [
+        {
+          source: "string",
+          style: "banner",
+          banner: { width: 24 },
+          content: "Acme Corp.",
+        },
+      ],
+      code: [
+        "/***********************",
+        " * Acme Corp.",
+        " **********************/",
+        "module.exports = 42;",
+        "",
+      ].join("\n"),
+      errors: [{ messageId: "headerContentMismatch", line: 2 }],
+      output: [
+        "/***********************",
+        " * Acme Corp.          *",
+        " **********************/",
+        "module.exports = 42;",
+        "",
+      ].join("\n"),
+    },
+    {
+      name: "Inserts the minimum number of template sections",
+      options: [
+        {
+          source: "string",
+          content: [
+            "{{#repeat min=1 max=3}}",
+            "Copyright (year) (holder)",
+            "{{/repeat}}",
+            "{{#optional}}",
+            "",
+            "Portions derived from Foo.",
+            "{{/optional}}",
+          ].join("\n"),
+          patterns: {
+            year: { pattern: "\\d{4}", defaultValue: "2024" },
+            holder: { pattern: "\\S.*?", defaultValue: "Acme Corp." },
+          },
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output: "/**\n * Copyright 2024 Acme Corp.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Keeps repeated template sections when fixing a header",
+      options: [
+        {
+          source: "string",
+          content: [
+            "{{#repeat min=1 max=3}}",
+            "Copyright (year) (holder)",
+            "{{/repeat}}",
+            "{{#optional}}",
+            "",
+            "Portions derived from Foo.",
+            "{{/optional}}",
+          ].join("\n"),
+          patterns: {
+            year: { pattern: "\\d{4}", defaultValue: "2024" },
+            holder: { pattern: "\\S.*?", defaultValue: "Acme Corp." },
+          },
+          matchMode: "exact",
+        },
+      ],
+      code: "/**\n * Copyright 2019 Acme Corp.\n * Copyright 2021 Initech\n *\n * Portions derived from Bar.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "/**\n * Copyright 2019 Acme Corp.\n * Copyright 2021 Initech\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports template sections repeated too often",
+      options: [
+        {
+          source: "string",
+          content: [
+            "{{#repeat min=1 max=3}}",
+            "Copyright (year) (holder)",
+            "{{/repeat}}",
+            "{{#optional}}",
+            "",
+            "Portions derived from Foo.",
+            "{{/optional}}",
+          ].join("\n"),
+          patterns: {
+            year: { pattern: "\\d{4}", defaultValue: "2024" },
+            holder: { pattern: "\\S.*?", defaultValue: "Acme Corp." },
+          },
+          matchMode: "exact",
+        },
+      ],
+      code: "/**\n * Copyright 2019 Acme Corp.\n * Copyright 2020 Initech\n * Copyright 2021 Hooli\n * Copyright 2022 Globex\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "/**\n * Copyright 2019 Acme Corp.\n * Copyright 2020 Initech\n * Copyright 2021 Hooli\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Keeps the text of a free-text slot when fixing a header",
+      options: [
+        {
+          source: "string",
+          content: "(description...)\n\nLicensed under MIT.",
+        },
+      ],
+      code: "/**\n * Parses things.\n *   Handles more things.\n *\n * Licensed under GPL.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch", line: 5 }],
+      output:
+        "/**\n * Parses things.\n *   Handles more things.\n *\n * Licensed under MIT.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Inserts an empty free-text slot",
+      options: [
+        {
+          source: "string",
+          content: "(description...)\n\nLicensed under MIT.",
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output:
+        "/**\n *\n *\n * Licensed under MIT.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports a year in the future, suggesting the current year",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) Acme Corp.",
+          patterns: { year: { type: "year" } },
+        },
+      ],
+      code: `/**\n * Copyright ${currentYear + 1} Acme Corp.\n */\nmodule.exports = 42;\n`,
+      errors: [
+        {
+          message: `Value "${currentYear + 1}" of pattern "year" is in the future.`,
+          line: 2,
+          column: 14,
+          endColumn: 18,
+          suggestions: [
+            {
+              messageId: "replacePatternValue",
+              output: `/**\n * Copyright ${currentYear} Acme Corp.\n */\nmodule.exports = 42;\n`,
+            },
+          ],
+        },
+      ],
+      output: null,
+    },
+    {
+      name: "Reports a date that does not exist, suggesting today's date",
+      options: [
+        {
+          source: "string",
+          content: "Created (created)",
+          patterns: { created: { type: "date" } },
+        },
+      ],
+      code: "/**\n * Created 2023-02-30\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          messageId: "invalidPatternValue",
+          line: 2,
+          suggestions: [
+            {
+              messageId: "replacePatternValue",
+              output: `/**\n * Created ${today}\n */\nmodule.exports = 42;\n`,
+            },
+          ],
+        },
+      ],
+      output: null,
+    },
+    {
+      name: "Replaces an invalid typed value with a configured default value",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) Acme Corp.",
+          patterns: { year: { type: "year", defaultValue: "2019" } },
+        },
+      ],
+      code: `/**\n * Copyright ${currentYear + 1} Acme Corp.\n */\nmodule.exports = 42;\n`,
+      errors: [{ messageId: "invalidPatternValue", line: 2 }],
+      output: "/**\n * Copyright 2019 Acme Corp.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Suggests inserting a header with the default value of a pattern type",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) Acme Corp.",
+          patterns: { year: { type: "year" } },
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [
+        {
+          messageId: "missingHeader",
+          suggestions: [
+            {
+              messageId: "insertHeader",
+              output: `/**\n * Copyright ${currentYear} Acme Corp.\n */\nmodule.exports = 42;\n`,
+            },
+          ],
+        },
+      ],
+      output: null,
+    },
+    {
+      name: "Reports an invalid typed value without a default value",
+      options: [
+        {
+          source: "string",
+          content: "Contact: (email)",
+          patterns: { email: { type: "email" } },
+        },
+      ],
+      code: "/**\n * Contact: jane@localhost\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message:
+            'Value "jane@localhost" of pattern "email" does not have a valid domain.',
+        },
+      ],
+    },
+    {
+      name: "Reports and replaces a deprecated value of an enumerated pattern",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (holder)",
+          patterns: {
+            holder: {
+              enum: ["Acme Inc.", "Acme GmbH"],
+              deprecated: { "Acme Corp.": "Acme Inc." },
+              defaultValue: "Acme Inc.",
+            },
+          },
+        },
+      ],
+      code: "/**\n * Copyright Acme Corp.\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message:
+            'Value "Acme Corp." of pattern "holder" is deprecated in favor of "Acme Inc.".',
+          line: 2,
+          column: 14,
+        },
+      ],
+      output: "/**\n * Copyright Acme Inc.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports values an allowed value is a prefix of",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (holder)",
+          patterns: {
+            holder: { enum: ["NewCo"], defaultValue: "NewCo" },
+          },
+        },
+      ],
+      code: "/**\n * Copyright NewCorp\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch", line: 2 }],
+      output: "/**\n * Copyright NewCo\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Replaces deprecated values when fixing a mismatched header",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (holder)\nAll rights reserved.",
+          patterns: {
+            holder: {
+              enum: ["Acme Inc.", "Acme GmbH"],
+              deprecated: { "Acme Corp.": "Acme Inc." },
+              defaultValue: "Acme Inc.",
+            },
+          },
+        },
+      ],
+      code: "/**\n * Copyright Acme Corp.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "/**\n * Copyright Acme Inc.\n * All rights reserved.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Prefers a different value of an enumerated pattern per file",
+      filename: "src/eu/index.js",
+      options: [
+        {
+          files: ["src/eu/**"],
+          source: "string",
+          content: "Copyright (holder)",
+          patterns: {
+            holder: {
+              enum: ["Acme Inc.", "Acme GmbH"],
+              defaultValue: "Acme GmbH",
+            },
+          },
+        },
+        {
+          source: "string",
+          content: "Copyright (holder)",
+          patterns: {
+            holder: {
+              enum: ["Acme Inc.", "Acme GmbH"],
+              deprecated: { "Acme Corp.": "Acme Inc." },
+              defaultValue: "Acme Inc.",
+            },
+          },
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output: "/**\n * Copyright Acme GmbH\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Converts a jsdoc header when a plain block comment is expected",
+      options: [
+        { source: "string", style: "block", content: "This is a header" },
+      ],
+      code: "/**\n * This is a header\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message:
+            'Header must be a "block" comment instead of a "jsdoc" comment.',
+        },
+      ],
+      output: "/*\n * This is a header\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Converts a line comment header to jsdoc, keeping pattern values and pragmas",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) Acme Corp.",
+          patterns: { year: { pattern: "\\d{4}", defaultValue: "2024" } },
+        },
+      ],
+      code: "// Copyright 2019 Acme Corp.\n//\n// @jest-environment node\nmodule.exports = 42;\n",
+      errors: [{ messageId: "styleMismatch", line: 1, endLine: 3 }],
+      output:
+        "/**\n * Copyright 2019 Acme Corp.\n *\n * @jest-environment node\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Converts a jsdoc header to line comments",
+      options: [
+        {
+          source: "string",
+          style: "line",
+          content: "Copyright (year) Acme Corp.",
+          patterns: { year: { pattern: "\\d{4}" } },
+        },
+      ],
+      code: "/**\n * Copyright 2019 Acme Corp.\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          messageId: "styleMismatch",
+          data: { expected: "line", actual: "jsdoc", entry: "" },
+        },
+      ],
+      output: "// Copyright 2019 Acme Corp.\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Converts a jsdoc header with pragmas to line comments",
+      options: [{ source: "string", style: "line", content: "Hi" }],
+      code: "/**\n * Hi\n *\n * @jest-environment node\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "styleMismatch" }],
+      output: "// Hi\n//\n// @jest-environment node\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Removes pragma expressions when configured to do so",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+          preservePragmas: false,
+        },
+      ],
+      code: "/**\n * @jest-environment jsdom\n */\n\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output: "/**\n * This is a header\n */\n\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes a mismatched block prefix",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+          blockPrefix: "blockPrefix\n",
+        },
+      ],
+      code: "/**\n * This is a header.\n */\nmodule.exports = 42;",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output: "/*blockPrefix\n * This is a header\n */\nmodule.exports = 42;",
+    },
+    {
+      name: "Fixes a mismatched block suffix",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+          blockSuffix: "\nblockSuffix",
+        },
+      ],
+      code: "/**\n * This is a header.\n */\nmodule.exports = 42;",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output: "/**\n * This is a header\nblockSuffix*/\nmodule.exports = 42;",
+    },
+    {
+      name: "Fixes mismatched trailing newlines",
+      options: [
+        {
+          source: "string",
+          content: "This is a header.",
+          trailingNewlines: 3,
+        },
+      ],
+      code: "/**\n * This is a header.\n */\nmodule.exports = 42;",
+      errors: [{ messageId: "trailingNewlinesMismatch" }],
+      output: "/**\n * This is a header.\n */\n\n\nmodule.exports = 42;",
+    },
+    {
+      name: "Fixes a missing header and appends configured trailing newlines",
+      options: [
+        {
+          source: "string",
+          content: "This is a header with custom trailing newlines.",
+          trailingNewlines: 2,
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output:
+        "/**\n * This is a header with custom trailing newlines.\n */\n\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes a header with mismatched variable content",
+      options: [
+        {
+          source: "string",
+          content: "This is a {template}",
+          variables: {
+            template: "header",
+          },
+        },
+      ],
+      code: "/**\n * This is a bad header\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output: "/**\n * This is a header\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes a file with a shebang and no header",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+        },
+      ],
+      code: "#! /usr/bin/node\nmodule.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output:
+        "#! /usr/bin/node\n/**\n * This is a header\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes a file correctly when configured with falsy values",
+      options: [
+        {
+          source: "string",
+          content: "This is a header.",
+          style: "jsdoc",
+          blockPrefix: "",
+          blockSuffix: "",
+          linePrefix: "",
+          trailingNewlines: 0,
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output: "/*This is a header.*/module.exports = 42;\n",
+    },
+    {
+      name: "Identifies a missing header when configured with a pattern and no default pattern value",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year)",
+          style: "jsdoc",
+          patterns: {
+            year: {
+              pattern: "\\d{4}",
+            },
+          },
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [
+        {
+          messageId: "missingHeader",
+          suggestions: [
+            {
+              messageId: "insertHeader",
+              output: "/**\n * Copyright (year)\n */\nmodule.exports = 42;\n",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      name: "Identifies an invalid pattern correctly",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year)",
+          style: "jsdoc",
+          patterns: {
+            year: {
+              pattern: "\\d{4}",
+            },
+          },
+        },
+      ],
+      code: "/**\nCopyright 202\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          messageId: "headerContentMismatch",
+          suggestions: [
+            {
+              messageId: "replaceHeader",
+              output: "/**\n * Copyright (year)\n */\nmodule.exports = 42;\n",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      name: "Fixes a missing header when configured with a pattern and default value correctly",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year)",
+          style: "jsdoc",
+          patterns: {
+            year: {
+              pattern: "\\d{4}",
+              defaultValue: "2025",
+            },
+          },
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output: "/**\n * Copyright 2025\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes a pattern mismatch correctly",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year)",
+          style: "jsdoc",
+          patterns: {
+            year: {
+              pattern: "\\d{4}",
+              defaultValue: "2025",
+            },
+          },
+        },
+      ],
+      code: "/**\n * Copyright 202\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output: "/**\n * Copyright 2025\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes a content mismatch with variables and partially satisfied pattern values",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) {author}. All rights reserved (year).",
+          style: "jsdoc",
+          variables: {
+            author: "Author",
+          },
+          patterns: {
+            year: {
+              pattern: "\\d{4}",
+              defaultValue: "2025",
+            },
+          },
+        },
+      ],
+      code: "/**\n * Copyright 2025 Author. All rights reserved.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "/**\n * Copyright 2025 Author. All rights reserved 2025.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Keeps valid pattern values when fixing a mismatched line",
+      options: [
+        {
+          source: "string",
+          content:
+            "Copyright (year) (author).\nLicensed under the MIT license.",
+          patterns: {
+            year: { pattern: "\\d{4}", defaultValue: "2025" },
+            author: { pattern: "[\\w ]+", defaultValue: "Unknown" },
+          },
+        },
+      ],
+      code: "/**\n * Copyright 2011 Jane Doe.\n * Licensed under the GPL.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "/**\n * Copyright 2011 Jane Doe.\n * Licensed under the MIT license.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes a mismatched header when extracted values complete patterns without defaults",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) New Corp.",
+          style: "line",
+          patterns: { year: { pattern: "\\d{4}" } },
+        },
+      ],
+      code: "// Copyright 2011 Old Corp.\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output: "// Copyright 2011 New Corp.\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports the first mismatched line",
+      options: [
+        {
+          source: "string",
+          content: "Line one.\nLine two.\nLine three.",
+        },
+      ],
+      code: "/**\n * Line one.\n * Line 2.\n * Line three.\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message:
+            'Header does not include expected content. Expected "Line two." but found "Line 2.".',
+          line: 3,
+          column: 1,
+          endLine: 3,
+          endColumn: 11,
+        },
+      ],
+      output:
+        "/**\n * Line one.\n * Line two.\n * Line three.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports a line with a mismatched pattern value",
+      options: [
+        {
+          source: "string",
+          style: "line",
+          content: "Copyright (year) Acme.",
+          patterns: { year: { pattern: "\\d{4}" } },
+        },
+      ],
+      code: "// Copyright 20XX Acme.\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message:
+            'Header does not include expected content. Expected "Copyright (year) Acme." but found "Copyright 20XX Acme.", which does not match its patterns.',
+          line: 1,
+          column: 3,
+          endLine: 1,
+          endColumn: 24,
+          suggestions: [
+            {
+              messageId: "replaceHeader",
+              output: "// Copyright (year) Acme.\nmodule.exports = 42;\n",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      name: "Suggests a header keeping the values found in the existing header",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) (holder). All rights reserved.",
+          patterns: {
+            year: { pattern: "\\d{4}" },
+            holder: { pattern: "[A-Z]\\w+" },
+          },
+        },
+      ],
+      code: "/**\n * Copyright 2011 acme.\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          messageId: "headerContentMismatch",
+          suggestions: [
+            {
+              messageId: "replaceHeader",
+              output:
+                "/**\n * Copyright 2011 (holder). All rights reserved.\n */\nmodule.exports = 42;\n",
+            },
+          ],
+        },
+      ],
+    },
+    {
+      name: "Reports a missing line",
+      options: [
+        {
+          source: "string",
+          style: "line",
+          content: "Line one.\nLine two.\nLine three.",
+        },
+      ],
+      code: "// Line one.\n// Line three.\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message:
+            'Header does not include expected content. Missing "Line two.".',
+          line: 2,
+        },
+      ],
+      output:
+        "// Line one.\n// Line two.\n// Line three.\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports an extra line",
+      options: [
+        {
+          source: "string",
+          content: "Line one.\nLine two.",
+        },
+      ],
+      code: "/**\r\n * Line one.\r\n * Unexpected.\r\n * Line two.\r\n */\r\nmodule.exports = 42;\r\n",
+      errors: [
+        {
+          message:
+            'Header does not include expected content. Unexpected "Unexpected.".',
+          line: 3,
+          column: 1,
+          endLine: 3,
+          endColumn: 15,
+        },
+      ],
+      output:
+        "/**\r\n * Line one.\r\n * Line two.\r\n */\r\nmodule.exports = 42;\r\n",
+    },
+    {
+      name: "Reports a header that ends early",
+      options: [
+        {
+          source: "string",
+          style: "line",
+          content: "This is a\nsplit comment",
+        },
+      ],
+      code: "// This is a\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message:
+            'Header does not include expected content. Missing "split comment".',
+          line: 1,
+          column: 3,
+        },
+      ],
+      output: "// This is a\n// split comment\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes an outdated built-in year",
+      options: [
+        {
+          source: "string",
+          content: "Copyright {year}.",
+        },
+      ],
+      code: "/**\n * Copyright 2019.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output: `/**\n * Copyright ${currentYear}.\n */\nmodule.exports = 42;\n`,
+    },
+    {
+      name: "Bumps the end of a stale year range",
+      options: [
+        {
+          source: "string",
+          content: "Copyright {year} Acme.",
+          yearRange: true,
+        },
+      ],
+      code: "/**\n * Copyright 2019-2024 Acme.\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          messageId: "staleYear",
+          data: {
+            actual: "2019-2024",
+            expected: `2019-${currentYear}`,
+            entry: "",
+          },
+          line: 2,
+          column: 14,
+          endLine: 2,
+          endColumn: 23,
+        },
+      ],
+      output: `/**\n * Copyright 2019-${currentYear} Acme.\n */\nmodule.exports = 42;\n`,
+    },
+    {
+      name: "Extends a stale single year into a year range",
+      options: [
+        {
+          source: "string",
+          content: "Copyright {year} Acme.",
+          style: "line",
+          yearRange: true,
+        },
+      ],
+      code: "// Copyright 2019 Acme.\r\n// @ts-check\r\nmodule.exports = 42;\r\n",
+      errors: [{ messageId: "staleYear" }],
+      output: `// Copyright 2019-${currentYear} Acme.\r\n// @ts-check\r\nmodule.exports = 42;\r\n`,
+    },
+    {
+      name: "Collapses a year range that starts and ends in the current year",
+      options: [
+        {
+          source: "string",
+          content: "Copyright {year} Acme.",
+          yearRange: true,
+        },
+      ],
+      code: `/**\n * Copyright ${currentYear}-${currentYear} Acme.\n */\nmodule.exports = 42;\n`,
+      errors: [{ messageId: "staleYear" }],
+      output: `/**\n * Copyright ${currentYear} Acme.\n */\nmodule.exports = 42;\n`,
+    },
+    {
+      name: "Reorders a reversed year range ending in the future",
+      options: [
+        {
+          source: "string",
+          content: "Copyright {year} Acme.",
+          yearRange: true,
+        },
+      ],
+      code: `/**\n * Copyright ${currentYear + 4}-2020 Acme.\n */\nmodule.exports = 42;\n`,
+      errors: [
+        {
+          messageId: "staleYear",
+          data: {
+            actual: `${currentYear + 4}-2020`,
+            expected: `2020-${currentYear}`,
+            entry: "",
+          },
+        },
+      ],
+      output: `/**\n * Copyright 2020-${currentYear} Acme.\n */\nmodule.exports = 42;\n`,
+    },
+    {
+      name: "Applies the first header configuration matching the file",
+      filename: "tests/example.test.js",
+      options: [
+        {
+          name: "source",
+          files: ["src/**/*.js"],
+          source: "string",
+          content: "Source header",
+        },
+        {
+          name: "tests",
+          files: ["tests/**/*.js"],
+          ignores: ["tests/fixtures/**"],
+          source: "string",
+          content: "Test header",
+        },
+        { source: "string", content: "Fallback header" },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [
+        {
+          message: 'No header found. (header configuration "tests")',
+        },
+      ],
+      output: "/**\n * Test header\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Falls back to a later header configuration when a file is ignored",
+      filename: "tests/fixtures/example.js",
+      options: [
+        {
+          files: ["tests/**/*.js"],
+          ignores: ["tests/fixtures/**"],
+          source: "string",
+          content: "Test header",
+        },
+        { source: "string", content: "Fallback header" },
+      ],
+      code: "/**\n * Test header\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message:
+            'Header does not include expected content. Expected "Fallback header" but found "Test header". (header configuration #2)',
+        },
+      ],
+      output: "/**\n * Fallback header\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Migrates a legacy header while keeping captured pattern values",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) New Corp. All rights reserved.",
+          patterns: {
+            year: { pattern: "\\d{4}", defaultValue: "2025" },
+          },
+          legacyHeaders: [
+            { source: "string", content: "(c) (year) Old Corp." },
+            {
+              source: "string",
+              content: "Copyright (year) Older Corp, (city).",
+              patterns: { city: { pattern: "\\w+" } },
+            },
+          ],
+        },
+      ],
+      code: "/**\n * Copyright 2011 Older Corp, Springfield.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "legacyHeader" }],
+      output:
+        "/**\n * Copyright 2011 New Corp. All rights reserved.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Carries over values of renamed legacy patterns",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) NewCo",
+          patterns: {
+            year: { pattern: "\\d{4}", defaultValue: "2024" },
+          },
+          legacyHeaders: [
+            {
+              source: "string",
+              content: "(c) (yr) OldCo",
+              patterns: { yr: { pattern: "\\d{4}" } },
+              patternNames: { yr: "year" },
+            },
+          ],
+        },
+      ],
+      code: "/**\n * (c) 2019 OldCo\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "legacyHeader" }],
+      output: "/**\n * Copyright 2019 NewCo\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Migrates a legacy header when captured values complete patterns without defaults",
+      options: [
+        {
+          source: "string",
+          content: "Copyright (year) New Corp.",
+          style: "line",
+          patterns: { year: { pattern: "\\d{4}" } },
+          legacyHeaders: [
+            {
+              source: "string",
+              content: "Copyright (year) Old Corp.",
+            },
+          ],
+        },
+      ],
+      code: "// Copyright 2011 Old Corp.\nmodule.exports = 42;\n",
+      errors: [{ messageId: "legacyHeader" }],
+      output: "// Copyright 2011 New Corp.\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports a legacy header from a file",
+      options: [
+        {
+          source: "string",
+          content: "This is the new header.",
+          legacyHeaders: [
+            {
+              source: "file",
+              path: path.join(__dirname, "../../example-header.txt"),
+            },
+          ],
+        },
+      ],
+      code: "/**\n * This is the expected header.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "legacyHeader" }],
+      output: "/**\n * This is the new header.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Inserts a missing header after leading directives",
+      options: [{ source: "string", content: "This is a header" }],
+      code: "/* eslint-disable no-console */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output:
+        "/* eslint-disable no-console */\n/**\n * This is a header\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Inserts a missing header before leading directives when configured",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+          headerPlacement: "beforeDirectives",
+        },
+      ],
+      code: "// @ts-check\nmodule.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output:
+        "/**\n * This is a header\n */\n// @ts-check\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes a mismatched header without replacing directives",
+      options: [{ source: "string", content: "This is a header" }],
+      code: "// @flow\n/**\n * This is the wrong header\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch", line: 3 }],
+      output: "// @flow\n/**\n * This is a header\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Moves a header placed after directives",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+          headerPlacement: "beforeDirectives",
+        },
+      ],
+      code: "/* eslint-disable no-console */\n/**\n * This is a header\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message: "Header must be placed before directive comments.",
+          line: 2,
+        },
+      ],
+      output:
+        "/**\n * This is a header\n */\n/* eslint-disable no-console */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Moves a header placed before directives",
+      options: [
+        {
+          source: "string",
+          style: "line",
+          content: "This is a header",
+          headerPlacement: "afterDirectives",
+        },
+      ],
+      code: "// This is a header\n/* istanbul ignore file */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message: "Header must be placed after directive comments.",
+          line: 1,
+        },
+      ],
+      output:
+        "/* istanbul ignore file */\n// This is a header\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Moves a header found below the imports to the top",
+      options: [{ source: "string", content: "This is a header" }],
+      code: 'const fs = require("fs");\n\n/**\n * This is a header\n */\nmodule.exports = fs;\n',
+      errors: [
+        {
+          message: "Header must be placed at the start of the file.",
+          line: 3,
+        },
+      ],
+      output:
+        '/**\n * This is a header\n */\nconst fs = require("fs");\n\nmodule.exports = fs;\n',
+    },
+    {
+      name: "Moves a misplaced header above the leading comment, keeping its pattern values",
+      options: [
+        {
+          source: "string",
+          style: "line",
+          content: "Copyright (year) Acme",
+          patterns: { year: { pattern: "\\d{4}", defaultValue: "2024" } },
+        },
+      ],
+      code: "// This file exports a number.\nmodule.exports = 42;\n  // Copyright 2001 Acme\n",
+      errors: [{ messageId: "misplacedHeader", line: 3 }],
+      output:
+        "// Copyright 2001 Acme\n// This file exports a number.\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Suggests removing duplicated headers",
+      options: [{ source: "string", content: "This is a header" }],
+      code: "/**\n * This is a header\n */\nconst a = 1;\n/**\n * This is a header\n */\nmodule.exports = a; /**\n * This is a header\n */\n",
+      errors: [
+        {
+          message: "Header is duplicated.",
+          line: 5,
+          suggestions: [
+            {
+              messageId: "removeDuplicateHeader",
+              output:
+                "/**\n * This is a header\n */\nconst a = 1;\nmodule.exports = a; /**\n * This is a header\n */\n",
+            },
+          ],
+        },
+        {
+          message: "Header is duplicated.",
+          line: 8,
+          suggestions: [
+            {
+              messageId: "removeDuplicateHeader",
+              output:
+                "/**\n * This is a header\n */\nconst a = 1;\n/**\n * This is a header\n */\nmodule.exports = a; \n",
+            },
+          ],
+        },
+      ],
+      output: null,
+    },
+    {
+      name: "Moves the first misplaced header and reports later copies",
+      options: [{ source: "string", content: "This is a header" }],
+      code: "// @ts-check\nconst a = 1;\n/**\n * This is a header\n */\nmodule.exports = a;\n/**\n * This is a header\n */\n",
+      errors: [
+        { messageId: "misplacedHeader", line: 3 },
+        {
+          messageId: "duplicateHeader",
+          line: 7,
+          suggestions: [
+            {
+              messageId: "removeDuplicateHeader",
+              output:
+                "// @ts-check\nconst a = 1;\n/**\n * This is a header\n */\nmodule.exports = a;\n",
+            },
+          ],
+        },
+      ],
+      output:
+        "// @ts-check\n/**\n * This is a header\n */\nconst a = 1;\nmodule.exports = a;\n/**\n * This is a header\n */\n",
+    },
+    {
+      name: "Does not move comments starting with the header text",
+      options: [{ source: "string", content: "Copyright Acme" }],
+      code: "/**\n * Something else\n */\nconst a = 1;\n\n/**\n * Copyright Acme widgets are exported below.\n */\nmodule.exports = a;\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "/**\n * Copyright Acme\n */\nconst a = 1;\n\n/**\n * Copyright Acme widgets are exported below.\n */\nmodule.exports = a;\n",
+    },
+    {
+      name: "Inserts the header into an empty file",
+      options: [{ source: "string", content: "This is a header" }],
+      code: "",
+      errors: [{ messageId: "missingHeader" }],
+      output: "/**\n * This is a header\n */\n",
+    },
+    {
+      name: "Updates file path variables after a file is renamed",
+      options: [
+        {
+          source: "string",
+          content: "@file {file.path}\n@module {file.module}",
+          moduleName: { stripPrefixes: ["src"] },
+        },
+      ],
+      filename: "src/api/http-client.js",
+      code: "/**\n * @file src/api/client.js\n * @module api/client\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch", line: 2 }],
+      output:
+        "/**\n * @file src/api/http-client.js\n * @module api/http-client\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Fixes package variables from the package containing the file",
+      options: [
+        {
+          source: "string",
+          content: "{package.name}\nLicensed under {package.license}.",
+        },
+      ],
+      filename: path.join(
+        __dirname,
+        "../../fixtures/monorepo/packages/utils/index.js",
+      ),
+      code: "/**\n * @acme/core\n * Licensed under Apache-2.0.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch", line: 2 }],
+      output:
+        "/**\n * @acme/utils\n * Licensed under MIT.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports package variables missing from the package.json without fixing",
+      options: [
+        {
+          source: "string",
+          content: "{package.name}\nCopyright {package.author}.",
+        },
+      ],
+      filename: path.join(
+        __dirname,
+        "../../fixtures/monorepo/packages/other/index.js",
+      ),
+      code: "module.exports = 42;\n",
+      errors: [
+        {
+          messageId: "unresolvedVariable",
+          data: { name: "package.author", entry: "" },
+          line: 1,
+        },
+      ],
+      output: null,
+    },
+    {
+      name: "Reports the git author outside a repository without fixing",
+      options: [
+        {
+          source: "string",
+          content: "Copyright {git.createdYear} {git.author}.",
+        },
+      ],
+      filename: "/nonexistent/src/index.js",
+      code: "/**\n * Copyright 2024 {git.author}.\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          messageId: "unresolvedVariable",
+          data: { name: "git.author", entry: "" },
+          line: 1,
+        },
+      ],
+      output: null,
+    },
+    {
+      name: "Fixes the owner after ownership changes",
+      options: [
+        {
+          source: "string",
+          content: "Maintained by {owner}.",
+          root: path.join(__dirname, "../../fixtures/monorepo"),
+        },
+      ],
+      filename: path.join(
+        __dirname,
+        "../../fixtures/monorepo/packages/utils/index.js",
+      ),
+      code: "/**\n * Maintained by @acme/maintainers.\n */\nmodule.exports = 42;\n",
+      errors: [{ messageId: "headerContentMismatch", line: 2 }],
+      output:
+        "/**\n * Maintained by @acme/utils-team @jane.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Reports files without an owner without fixing",
+      options: [
+        {
+          source: "string",
+          content: "Owner: {owner}",
+          root: path.join(__dirname, "../../fixtures/monorepo"),
+        },
+      ],
+      filename: path.join(
+        __dirname,
+        "../../fixtures/monorepo/packages/core/generated/x.js",
+      ),
+      code: "/**\n * Owner: @acme/core-team\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          messageId: "unresolvedVariable",
+          data: { name: "owner", entry: "" },
+          line: 1,
+        },
+      ],
+      output: null,
+    },
+    {
+      name: "Shows {year} in mismatches of year range headers",
+      options: [
+        {
+          source: "string",
+          content: "Copyright {year} Acme.",
+          yearRange: true,
+        },
+      ],
+      code: "/**\n * Copyright 2019 OldCo.\n */\nmodule.exports = 42;\n",
+      errors: [
+        {
+          message:
+            'Header does not include expected content. Expected "Copyright {year} Acme." but found "Copyright 2019 OldCo.".',
+        },
+      ],
+      output: "/**\n * Copyright 2019 Acme.\n */\nmodule.exports = 42;\n",
+    },
+    {
+      name: "Inserts the current year when a year range header is missing",
+      options: [
+        {
+          source: "string",
+          content: "Copyright {year} Acme.",
+          yearRange: true,
+        },
+      ],
+      code: "module.exports = 42;\n",
+      errors: [{ messageId: "missingHeader" }],
+      output: `/**\n * Copyright ${currentYear} Acme.\n */\nmodule.exports = 42;\n`,
+    },
+  ],
+});
+
+const ruleTesterVue = new RuleTester({
+  languageOptions: { parser: require("vue-eslint-parser"), ecmaVersion: 2018 },
+});
+
+const enableVueOption = { enableVueSupport: true };
+ruleTesterVue.run("header-presence-html", rule, {
+  valid: [
+    {
+      name: "Correctly matches a valid HTML header comment with the correct content",
+      filename: "test.vue",
+      options: [
+        { source: "string", content: "This is a header", ...enableVueOption },
+      ],
+      code: "<!--\n  This is a header\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+    },
+    {
+      name: "Correctly matches a valid HTML header comment with the correct content when the leading tag is not <template />",
+      filename: "test.vue",
+      options: [
+        { source: "string", content: "This is a header", ...enableVueOption },
+      ],
+      code: "<!--\n  This is a header\n-->\n<style>div { font-size: 2em; }</style>\n<template>\n  <div>This is content</div>\n</template>\n",
+    },
+    {
+      name: "Correctly matches a multiline HTML comment header",
+      filename: "test.vue",
+      options: [
+        {
+          source: "string",
+          content: "This is a header\nwith another line",
+          ...enableVueOption,
+        },
+      ],
+      code: "<!--\n  This is a header\n  with another line\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+    },
+  ],
+  invalid: [
+    {
+      name: "Inserts a missing header comment",
+      filename: "test.vue",
+      options: [
+        { source: "string", content: "This is a header", ...enableVueOption },
+      ],
+      code: "<template>\n  <div>This is content</div>\n</template>\n",
+      errors: [{ messageId: "missingHeader" }],
+      output:
+        "<!--\n  This is a header\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+    },
+    {
+      name: "Fixes a header comment with mismatched content",
+      filename: "test.vue",
+      options: [
+        {
+          source: "string",
+          content: "This is the expected header",
+          ...enableVueOption,
+        },
+      ],
+      code: "<!--\n  This is an incorrect header\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "<!--\n  This is the expected header\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+    },
+    {
+      name: "Preserves pragma expressions in HTML headers",
+      filename: "test.vue",
+      options: [
+        {
+          source: "string",
+          content: "This is the expected header",
+          ...enableVueOption,
+        },
+      ],
+      code: "<!--\n  This is an incorrect header\n\n  @jest-environment jsdom\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "<!--\n  This is the expected header\n\n  @jest-environment jsdom\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+    },
+    {
+      name: "Inserts the missing header before a script tag",
+      filename: "test.vue",
+      options: [
+        {
+          source: "string",
+          content: "This is the expected header",
+          ...enableVueOption,
+        },
+      ],
+      code: "<!--\n  This is an incorrect header\n-->\n<script>import fakeModule from 'fakeModule';\nconst magicNum = 42;\n</script>\n<template>\n  <div>This is content</div>\n</template>\n",
+      errors: [{ messageId: "headerContentMismatch" }],
+      output:
+        "<!--\n  This is the expected header\n-->\n<script>import fakeModule from 'fakeModule';\nconst magicNum = 42;\n</script>\n<template>\n  <div>This is content</div>\n</template>\n",
+    },
+    {
+      name: "Inserts missing trailing newlines",
+      filename: "test.vue",
+      options: [
+        {
+          source: "string",
+          content: "This is a header",
+          trailingNewlines: 2,
+          ...enableVueOption,
+        },
+      ],
+      code: "<!--\n  This is a header\n-->\n<template>\n  <div>This is content</div>\n</template>\n",
+      errors: [{ messageId: "trailingNewlinesMismatch" }],
+      output:
+        "<!--\n  This is a header\n-->\n\n<template>\n  <div>This is content</div>\n</template>\n",
+    },
+    {
+      name: "Correctly identifies a missing header when another comment exists",
+      filename: "test.vue",
+      options: [
+        { source: "string", content: "This is a header", ...enableVueOption },
+      ],
+      code: "<template>\n  <div>This is content</div>\n</template>\n<!-- This is a footer -->",
+      errors: [{ messageId: "missingHeader" }],
+      output:
         "<!--\n  This is a header\n-->\n<template>\n  <div>This is content</div>\n</template>\n<!-- This is a footer -->",
     },
   ],
 });
+
+describe("header-format staleYear", () => {
+  // A repository whose `feature` branch changes one of two files.
+  const repository = fs.mkdtempSync(path.join(os.tmpdir(), "stale-year-"));
+  const git = (...args) =>
+    execFileSync("git", args, { cwd: repository, stdio: "ignore" });
+  git("init", "--quiet", "--initial-branch=main");
+  git("config", "user.name", "Jane Doe");
+  git("config", "user.email", "jane@example.com");
+  git("config", "commit.gpgsign", "false");
+  fs.writeFileSync(path.join(repository, "changed.js"), "1;\n");
+  fs.writeFileSync(path.join(repository, "unchanged.js"), "1;\n");
+  git("add", ".");
+  git("commit", "--quiet", "-m", "Add files");
+  git("checkout", "--quiet", "-b", "feature");
+  fs.writeFileSync(path.join(repository, "changed.js"), "2;\n");
+  git("commit", "--quiet", "-am", "Change file");
+
+  after(() => {
+    fs.rmSync(repository, { recursive: true, force: true });
+  });
+
+  const options = [
+    {
+      source: "string",
+      content: "Copyright {year} Acme.",
+      yearRange: true,
+      staleYear: { changedSince: "main" },
+    },
+  ];
+  const code = "/**\n * Copyright 2019 Acme.\n */\nmodule.exports = 42;\n";
+
+  ruleTester.run("header-format-stale-year", rule, {
+    valid: [
+      {
+        name: "Ignores stale years in files unchanged since the base ref",
+        options,
+        filename: path.join(repository, "unchanged.js"),
+        code,
+      },
+    ],
+
+    invalid: [
+      {
+        name: "Reports stale years in files changed since the base ref",
+        options,
+        filename: path.join(repository, "changed.js"),
+        code,
+        errors: [{ messageId: "staleYear" }],
+        output: `/**\n * Copyright 2019-${currentYear} Acme.\n */\nmodule.exports = 42;\n`,
+      },
+      {
+        name: "Reports stale years when the base ref is unknown",
+        options: [{ ...options[0], staleYear: { changedSince: "missing" } }],
+        filename: path.join(repository, "unchanged.js"),
+        code,
+        errors: [{ messageId: "staleYear" }],
+        output: `/**\n * Copyright 2019-${currentYear} Acme.\n */\nmodule.exports = 42;\n`,
+      },
+    ],
+  });
+});
+
+describe("header-format options", () => {
+  it("Rejects the reserved name of the year range pattern", () => {
+    const linter = new Linter();
+    assert.throws(
+      () =>
+        linter.verify("module.exports = 42;\n", {
+          plugins: { headers: { rules: { "header-format": rule } } },
+          rules: {
+            "headers/header-format": [
+              "error",
+              {
+                source: "string",
+                content: "Copyright (__yearRange) Acme.",
+                patterns: { __yearRange: { pattern: "\\d{4}" } },
+              },
+            ],
+          },
+        }),
+      /__yearRange.*should NOT have additional properties/,
+    );
+  });
+});
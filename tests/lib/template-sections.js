@@ -0,0 +1,73 @@
+"use strict";
+
+const assert = require("assert");
+
+const {
+  expandTemplateSections,
+  isSectionMarker,
+  parseTemplateSections,
+} = require("../../lib/template-sections");
+
+describe("template-sections", () => {
+  it("Parses optional and repeated sections", () => {
+    assert.deepEqual(
+      parseTemplateSections([
+        "Header",
+        "{{#repeat min=1 max=3}}",
+        "Copyright (holder)",
+        "{{/repeat}}",
+        "{{#optional}}",
+        "",
+        "Portions derived from (project).",
+        "{{/optional}}",
+      ]),
+      [
+        "Header",
+        { lines: ["Copyright (holder)"], min: 1, max: 3 },
+        { lines: ["", "Portions derived from (project)."], min: 0, max: 1 },
+      ],
+    );
+    assert.deepEqual(
+      parseTemplateSections(["{{#repeat}}", "A", "{{/repeat}}"]),
+      [{ lines: ["A"], min: 1, max: Infinity }],
+    );
+  });
+
+  it("Keeps unclosed and mismatched markers as template lines", () => {
+    assert.deepEqual(
+      parseTemplateSections(["{{#optional}}", "A", "{{/repeat}}"]),
+      ["{{#optional}}", "A", "{{/repeat}}"],
+    );
+    assert.deepEqual(parseTemplateSections(["{{/optional}}", "A"]), [
+      "{{/optional}}",
+      "A",
+    ]);
+  });
+
+  it("Expands sections the given number of times", () => {
+    const items = [
+      "Header",
+      { lines: ["Copyright (holder)"], min: 1, max: 3 },
+      { lines: ["", "Portions"], min: 0, max: 1 },
+    ];
+
+    assert.deepEqual(expandTemplateSections(items), [
+      "Header",
+      "Copyright (holder)",
+    ]);
+    assert.deepEqual(expandTemplateSections(items, [2, 1]), [
+      "Header",
+      "Copyright (holder)",
+      "Copyright (holder)",
+      "",
+      "Portions",
+    ]);
+  });
+
+  it("Identifies section markers", () => {
+    assert.equal(isSectionMarker("{{#repeat min=2}}"), true);
+    assert.equal(isSectionMarker("{{/optional}}"), true);
+    assert.equal(isSectionMarker("{{#unknown}}"), false);
+    assert.equal(isSectionMarker("Copyright (holder)"), false);
+  });
+});
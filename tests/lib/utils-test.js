@@ -1,11 +1,17 @@
 "use strict";
 
 const assert = require("assert");
+const fs = require("fs");
 
 const {
   appendNewlines,
+  getCommentStyle,
   getEolCharacter,
+  getFreeTextSlotName,
+  getModifiedTime,
+  isLegalComment,
   normalizeComments,
+  wrapLines,
 } = require("../../lib/utils");
 
 describe("utils", () => {
@@ -50,4 +56,83 @@ describe("utils", () => {
     // Assert
     assert.deepEqual(actualStrings, expectedStrings);
   });
+
+  it("Wraps lines to a maximum line length", () => {
+    // Arrange
+    const lines = [
+      "Licensed under the Apache License, Version 2.0 (the",
+      "License); you may not use this file except in compliance",
+      "",
+      "See https://www.apache.org/licenses/LICENSE-2.0-long-address.",
+    ];
+
+    // Act
+    const wrappedLines = wrapLines(lines, 30);
+
+    // Assert
+    assert.deepEqual(wrappedLines, [
+      "Licensed under the Apache",
+      "License, Version 2.0 (the",
+      "License); you may not use this",
+      "file except in compliance",
+      "",
+      "See",
+      "https://www.apache.org/licenses/LICENSE-2.0-long-address.",
+    ]);
+  });
+
+  it("Keeps lines that fit within the maximum line length", () => {
+    // Arrange
+    const lines = ["Copyright Acme", "All rights reserved.", "@license MIT"];
+
+    // Act
+    const wrappedLines = wrapLines(lines, 30);
+
+    // Assert
+    assert.deepEqual(wrappedLines, lines);
+  });
+
+  it("Detects legal comments", () => {
+    assert(isLegalComment({ type: "Block", value: "! Copyright Acme " }));
+    assert(isLegalComment({ type: "Block", value: "*\n * @license MIT\n " }));
+    assert(isLegalComment({ type: "Block", value: "* @preserve " }));
+    assert(!isLegalComment({ type: "Block", value: "*\n * Header\n " }));
+    assert(!isLegalComment({ type: "Line", value: " @license MIT" }));
+  });
+
+  it("Gets the modification time of files", () => {
+    assert.equal(getModifiedTime(__filename), fs.statSync(__filename).mtimeMs);
+    assert.equal(getModifiedTime(`${__filename}.missing`), 0);
+  });
+
+  it("Detects the style of comments", () => {
+    assert.equal(getCommentStyle({ type: "Line", value: " Header" }), "line");
+    assert.equal(
+      getCommentStyle({ type: "Block", value: "*\n * Header\n " }),
+      "jsdoc",
+    );
+    assert.equal(
+      getCommentStyle({ type: "Block", value: "\n * Header\n " }),
+      "block",
+    );
+    assert.equal(
+      getCommentStyle({ type: "Block", value: "! Header " }),
+      "legal",
+    );
+    assert.equal(
+      getCommentStyle({ type: "Block", value: "*****\n * Header *\n ****" }),
+      "banner",
+    );
+    assert.equal(
+      getCommentStyle({ type: "HTMLComment", value: " Header " }),
+      "html",
+    );
+  });
+
+  it("Gets the name of free-text slots", () => {
+    assert.equal(getFreeTextSlotName("(description...)"), "description...");
+    assert.equal(getFreeTextSlotName("  (notes...) "), "notes...");
+    assert.equal(getFreeTextSlotName("(description)"), undefined);
+    assert.equal(getFreeTextSlotName("See (description...)"), undefined);
+  });
 });
@@ -0,0 +1,46 @@
+"use strict";
+
+const assert = require("assert");
+
+const {
+  YEAR_RANGE_PATTERN,
+  bumpYearRange,
+  formatYearRange,
+  parseYearRange,
+} = require("../../lib/year-range");
+
+describe("year-range", () => {
+  it("Parses single years and year ranges", () => {
+    assert.deepEqual(parseYearRange("2024"), { start: 2024, end: 2024 });
+    assert.deepEqual(parseYearRange("2019-2024"), { start: 2019, end: 2024 });
+    assert.equal(parseYearRange("20190"), null);
+    assert.equal(parseYearRange("2019-"), null);
+  });
+
+  it("Formats year ranges, collapsing single-year ranges", () => {
+    assert.equal(formatYearRange({ start: 2019, end: 2024 }), "2019-2024");
+    assert.equal(formatYearRange({ start: 2024, end: 2024 }), "2024");
+  });
+
+  it("Bumps the end year while keeping the start year", () => {
+    assert.equal(bumpYearRange("2019-2024", 2026), "2019-2026");
+    assert.equal(bumpYearRange("2019", 2026), "2019-2026");
+    assert.equal(bumpYearRange("2026-2026", 2026), "2026");
+    assert.equal(bumpYearRange("2019-2026", 2026), "2019-2026");
+    assert.equal(bumpYearRange("not a year", 2026), "not a year");
+  });
+
+  it("Normalizes reversed and future year ranges", () => {
+    assert.equal(bumpYearRange("2030-2020", 2026), "2020-2026");
+    assert.equal(bumpYearRange("2024-2019", 2026), "2019-2026");
+    assert.equal(bumpYearRange("2019-2030", 2026), "2019-2026");
+    assert.equal(bumpYearRange("2030", 2026), "2026");
+  });
+
+  it("Exposes a pattern matching years and year ranges", () => {
+    const regex = new RegExp(`^${YEAR_RANGE_PATTERN}$`);
+    assert(regex.test("2024"));
+    assert(regex.test("2019-2024"));
+    assert(!regex.test("2019-24"));
+  });
+});